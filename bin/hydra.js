@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/*
+
+Command-line interface for HYDRA.
+
+Dose rates are calculated with the same engine as on the web page,
+ERICA's data are read from data/erica.db (or from other database or CSV files).
+
+*/
+
+var fs = require("fs");
+var path = require("path");
+var parseArgs = require("util").parseArgs;
+var hydra = require("../script/index.js");
+
+var usage = `Usage:
+    hydra calculate [options]        calculate dose rates
+    hydra list isotopes|organisms    list ERICA's isotopes or organisms of ecosystem
+    hydra defaults <nuclide>         show ERICA's Kd and CRs for nuclide (or isotope)
+    hydra help                       show this help
+
+Options:
+    -s, --setting <file>       setting saved from web page (JSON)
+    -a, --activities <file>    activity concentrations (CSV with columns isotope, medium,
+                               value and optional unit, site and date)
+    --activity <isotope:medium=value>
+                               activity concentration in setting's units (can be repeated)
+    -e, --ecosystem <name>     freshwater, marine or terrestrial
+    --organisms <list>         comma-separated organisms
+    --isotopes <list>          comma-separated isotopes
+    --wf <alpha,beta/gamma,low beta>
+                               radiation weighting factors
+    --dry-weight <percent>     percentage dry weight for sediment
+    -u, --unit <unit>          dose rate unit (uGy/h, mGy/h, uGy/d, mGy/d, uGy/y, mGy/y)
+    -f, --format <csv|json|html>
+                               output format (by output file extension, CSV by default),
+                               HTML is printable report of single assessment
+    -o, --output <file>        output file (standard output by default)
+    --database <file>          ERICA's database (data/erica.db by default)
+    --csv <directory>          read ERICA's data from CSV files instead of database
+    -h, --help                 show this help`;
+
+var options = {
+    "setting": {type: "string", short: "s"},
+    "activities": {type: "string", short: "a"},
+    "activity": {type: "string", multiple: true},
+    "ecosystem": {type: "string", short: "e"},
+    "organisms": {type: "string"},
+    "isotopes": {type: "string"},
+    "wf": {type: "string"},
+    "dry-weight": {type: "string"},
+    "unit": {type: "string", short: "u"},
+    "format": {type: "string", short: "f"},
+    "output": {type: "string", short: "o"},
+    "database": {type: "string"},
+    "csv": {type: "string"},
+    "help": {type: "boolean", short: "h"}
+};
+
+// Split comma-separated list
+var splitList = function(text) {
+    return text.split(",").map(function(item) {
+        return item.trim();
+    }).filter(Boolean);
+};
+
+var parseNumber = function(text, name) {
+    var value = Number(text);
+    if (text === "" || isNaN(value) || value < 0) {
+        throw new Error(`Wrong ${name} ${text}`);
+    }
+    return value;
+};
+
+// Load ERICA's dataset from database or CSV files
+var loadDataset = function(values) {
+    if (values.csv) {
+        return hydra.loadCsv(values.csv);
+    }
+    return hydra.loadDatabase(values.database);
+};
+
+// Write text to output file or standard output
+var write = function(text, values) {
+    if (values.output) {
+        fs.writeFileSync(values.output, text);
+    }
+    else {
+        process.stdout.write(text + "\n");
+    }
+};
+
+var getFormat = function(values, formats=["csv", "json"]) {
+    var extensions = {".json": "json", ".html": "html", ".htm": "html"};
+    var format = values.format ||
+        (values.output && extensions[path.extname(values.output).toLowerCase()]) || "csv";
+    if (!formats.includes(format)) {
+        throw new Error(`Unknown format ${format}`);
+    }
+    return format;
+};
+
+// Make setting from file and options
+var createSetting = function(dataset, values) {
+    var setting;
+    if (values.setting) {
+        setting = hydra.Setting.parse(fs.readFileSync(values.setting, "utf8"), dataset);
+    }
+    else {
+        setting = new hydra.Setting(dataset);
+    }
+
+    if (values.ecosystem && values.ecosystem !== setting.getEcosystem()) {
+        if (!hydra.ecosystems[values.ecosystem]) {
+            throw new Error(`Unknown ecosystem ${values.ecosystem}`);
+        }
+        setting.setEcosystem(values.ecosystem);
+    }
+
+    if (values.organisms) {
+        var organisms = setting.getAvailableOrganisms();
+        for (var organism of splitList(values.organisms)) {
+            if (!organisms.includes(organism)) {
+                throw new Error(`Unknown organism for ${setting.getEcosystem()} ecosystem: ${organism}`);
+            }
+            setting.addOrganism(organism);
+        }
+    }
+
+    if (values.isotopes) {
+        for (isotope of splitList(values.isotopes)) {
+            if (!setting.getAvailableIsotopes().includes(isotope)) {
+                throw new Error(`Unknown isotope ${isotope}`);
+            }
+            setting.addIsotope(isotope);
+        }
+    }
+
+    for (var text of values.activity || []) {
+        var match = text.match(/^([^:]+):(.+)=([^=]+)$/);
+        if (!match) {
+            throw new Error(`Wrong activity ${text}, use isotope:medium=value`);
+        }
+        var isotope = match[1].trim();
+        var medium = match[2].trim();
+        if (!setting.getAvailableIsotopes().includes(isotope)) {
+            throw new Error(`Unknown isotope ${isotope}`);
+        }
+        if (!setting.media.concat(setting.getOrganisms()).includes(medium)) {
+            throw new Error(`${medium} isn't medium or selected organism`);
+        }
+        setting.addIsotope(isotope);
+        setting.setActivityConcentration(isotope, medium, parseNumber(match[3].trim(), "activity"));
+    }
+
+    if (values.wf) {
+        var factors = splitList(values.wf);
+        if (factors.length !== 3) {
+            throw new Error("Three weighting factors are needed: alpha, beta/gamma and low beta");
+        }
+        ["Alpha", "Beta/gamma", "Low Beta"].forEach(function(type, index) {
+            setting.setRadiationWeightingFactor(type, "", parseNumber(factors[index], "weighting factor"));
+        });
+    }
+
+    if (values["dry-weight"] !== undefined) {
+        // Range is checked by setter
+        setting.setPercentageDryWeight("", "", parseNumber(values["dry-weight"], "dry weight"));
+    }
+
+    if (values.unit) {
+        // "u" is allowed instead of "µ"
+        setting.setDoseRateUnit(values.unit.replace(/^u/, "\u00b5"));
+    }
+
+    return setting;
+};
+
+// Calculate dose rates for setting or for each site and date of CSV file
+var calculate = function(dataset, values) {
+    if (values.activities && (values.activity || values.isotopes)) {
+        throw new Error("Activities file can't be combined with --activity and --isotopes");
+    }
+    var format = getFormat(values, ["csv", "json", "html"]);
+    var setting = createSetting(dataset, values);
+    if (!setting.getOrganisms().length) {
+        throw new Error("No organisms selected");
+    }
+
+    var result;
+    if (values.activities) {
+        var batch = new hydra.Batch(setting);
+        batch.parse(fs.readFileSync(values.activities, "utf8"));
+        batch.run();
+
+        // File without sites and dates gives single result
+        var labels = batch.getLabels();
+        if (labels.length !== 1 || labels[0] !== "") {
+            if (format === "html") {
+                throw new Error("HTML report is made for single assessment, not for sites and dates");
+            }
+            write(format === "json" ? JSON.stringify(batch.toObject(), null, 2) : batch.toCSV(), values);
+            return;
+        }
+        result = batch.results[""];
+    }
+    else {
+        if (!setting.getIsotopes().length) {
+            throw new Error("No isotopes selected");
+        }
+        result = new hydra.Result(setting);
+        result.calculate();
+    }
+    if (format === "html") {
+        // Stylesheet is embedded, so report can be viewed anywhere
+        var style = fs.readFileSync(path.join(__dirname, "..", "css", "report.css"), "utf8");
+        write(new hydra.Report(setting, result).toHTML("", style), values);
+        return;
+    }
+    write(format === "json" ? JSON.stringify(result.toObject(), null, 2) : result.toCSV(), values);
+};
+
+// List ERICA's isotopes or organisms
+var list = function(dataset, values, what) {
+    var ecosystem = values.ecosystem || "freshwater";
+    switch (what) {
+        case "isotopes":
+            write(dataset.isotopes.join("\n"), values);
+            break;
+        case "organisms":
+            if (!dataset[ecosystem]) {
+                throw new Error(`Unknown ecosystem ${ecosystem}`);
+            }
+            write(dataset[ecosystem].organisms.join("\n"), values);
+            break;
+        default:
+            throw new Error("Use hydra list isotopes or hydra list organisms");
+    }
+};
+
+// Show ERICA's Kd and CRs (and half-life for isotope) for ecosystem
+var showDefaults = function(dataset, values, name) {
+    if (!name) {
+        throw new Error("Nuclide is missing");
+    }
+    var ecosystem = values.ecosystem || "freshwater";
+    var data = dataset[ecosystem];
+    if (!data) {
+        throw new Error(`Unknown ecosystem ${ecosystem}`);
+    }
+    var nuclide = name.split("-")[0];
+    var defaults = {
+        nuclide: nuclide,
+        ecosystem: ecosystem,
+        kd: data.kd[nuclide] === undefined ? null : data.kd[nuclide],
+        cr: data.cr[nuclide] || {}
+    };
+    if (dataset.decay[name]) {
+        defaults.isotope = name;
+        defaults.halfLife = dataset.decay[name];
+    }
+    if (defaults.kd === null && !Object.keys(defaults.cr).length && !defaults.halfLife) {
+        throw new Error(`No ERICA's data for ${name} in ${ecosystem} ecosystem`);
+    }
+
+    if (getFormat(values) === "json") {
+        write(JSON.stringify(defaults, null, 2), values);
+        return;
+    }
+    var lines = ["Parameter;Organism;Value"];
+    if (defaults.halfLife) {
+        lines.push(`Half-life, days;;${defaults.halfLife}`);
+    }
+    if (defaults.kd !== null) {
+        lines.push(`Kd;;${defaults.kd}`);
+    }
+    for (var organism in defaults.cr) {
+        lines.push(`CR;${organism};${defaults.cr[organism]}`);
+    }
+    write(lines.join("\r\n"), values);
+};
+
+var main = function(args) {
+    var parsed = parseArgs({args: args, options: options, allowPositionals: true});
+    var values = parsed.values;
+    var command = parsed.positionals[0];
+    if (values.help || !command || command === "help") {
+        console.log(usage);
+        return Promise.resolve();
+    }
+    if (!["calculate", "list", "defaults"].includes(command)) {
+        return Promise.reject(new Error(`Unknown command ${command}`));
+    }
+
+    return loadDataset(values).then(function(dataset) {
+        switch (command) {
+            case "calculate":
+                calculate(dataset, values);
+                break;
+            case "list":
+                list(dataset, values, parsed.positionals[1]);
+                break;
+            case "defaults":
+                showDefaults(dataset, values, parsed.positionals[1]);
+                break;
+        }
+    });
+};
+
+Promise.resolve().then(function() {
+    return main(process.argv.slice(2));
+}).catch(function(error) {
+    console.error(`hydra: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -7,7 +7,7 @@ App functions for interaction with user for HYDRA.
 // Update input boxes
 var updateList = function(source, target) {
     target.innerHTML = "";
-    for (item of source) {
+    for (var item of source) {
         var itemEl = document.createElement("li");
         itemEl.textContent = item;
         target.appendChild(itemEl);
@@ -41,24 +41,88 @@ var showInput = function(appFrame, type, setting) {
     resetButton.value = "Reset";
     form.appendChild(resetButton);
 
+    var closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", function() {
+        container.remove();
+    });
+    form.appendChild(closeButton);
+
+    // Errors are shown next to inputs and block OK until they are fixed
+    var validate = function() {
+        var errors = showInputErrors(form, setting.validateInput(type, readInput(form)));
+        confirmButton.disabled = errors.length > 0;
+    };
+    form.addEventListener("input", validate);
+    form.addEventListener("reset", function() {
+        // Inputs get their default values after reset event
+        setTimeout(validate);
+    });
+    validate();
+
     return container;
 };
 
 
-// Write user input into setting
+// Get input values as {row: {col: value}}, empty inputs are NaN
+var readInput = function(source) {
+    var values = {};
+    for (var input of source.querySelectorAll("table input")) {
+        var names = input.name.replace(/_/g, " ").split(".");
+        if (!values[names[0]]) {
+            values[names[0]] = {};
+        }
+        values[names[0]][names[1]] = parseFloat(input.value);
+    }
+    return values;
+};
+
+
+/*
+Show validation errors (see Setting.validateInput) in form's table.
+Errors of values are shown in their cells, errors of whole rows in row headers.
+*/
+var showInputErrors = function(source, errors) {
+    for (message of source.querySelectorAll(".input-error")) {
+        message.remove();
+    }
+    for (input of source.querySelectorAll("table input")) {
+        input.classList.remove("invalid-input");
+    }
+
+    for (var error of errors) {
+        var cell;
+        var name = `${error.row}.${error.col}`.replace(/ /g, "_");
+        var input = source.querySelector(`input[name="${name}"]`);
+        if (input) {
+            input.classList.add("invalid-input");
+            cell = input.parentElement;
+        }
+        else {
+            var rowInput = source.querySelector(`input[name^="${error.row.replace(/ /g, "_")}."]`);
+            cell = rowInput.closest("tr").querySelector("th");
+        }
+        var message = document.createElement("span");
+        message.className = "input-error";
+        message.textContent = error.message;
+        cell.appendChild(message);
+    }
+    return errors;
+};
+
+
+// Write user input into setting (form must be valid, setters throw errors for wrong values)
 var getInput = function(source, setting) {
 
     // Initial set up
-    var inputs = source.querySelectorAll("table input");
+    var values = readInput(source);
     var setter;
 
     switch (source.name) {
         case "isotopes":
             setter = setting.setActivityConcentration.bind(setting);
             break;
-        case "organisms":
-            setter = setting.setOccupancyFactor.bind(setting);
-            break;
         case "CRs":
             setter = setting.setConcentrationRatio.bind(setting);
             break;
@@ -71,27 +135,50 @@ var getInput = function(source, setting) {
         case "dry":
             setter = setting.setPercentageDryWeight.bind(setting);
             break;
+        case "risk":
+            setter = setting.setRiskParameter.bind(setting);
+            break;
+    }
+
+    // Units of activity concentrations are chosen in table header
+    if (source.name === "isotopes") {
+        for (var select of source.querySelectorAll("table select")) {
+            setting.setActivityUnit(select.name.replace(/_/g, " "), select.value);
+        }
     }
 
     // Fill setting with values
-    for (input of inputs) {
-        var names = input.name.replace(/_/g, " ").split(".");
-        setter(names[0], names[1], parseFloat(input.value));
+    for (var row in values) {
+        // Occupancy factors are set together, so their sum is checked for new values only
+        if (source.name === "organisms") {
+            setting.setOccupancyFactors(row, values[row]);
+            continue;
+        }
+        for (var col in values[row]) {
+            setter(row, col, values[row][col]);
+        }
     }
 };
 
 
-var generateTable = function(type, source) {
+// view is name of dose rates contribution for output table (total by default)
+var generateTable = function(type, source, view="Total") {
     var table = document.createElement("table");
     var caption = document.createElement("caption");
     table.appendChild(caption);
     var rows;
     var cols;
     var getter;
+    var totalGetter;
+    var totalQuotientGetter;
+
+    // Dose rates are shown in units chosen in setting
+    var doseRateUnit = (source.setting || source).doseRateUnit;
+    var screening = convertDoseRate((source.setting || source).screeningDoseRate, doseRateUnit);
 
     switch (type) {
         case "isotopes":
-            caption.textContent = "Enter activity concentrations, Bq/kg";
+            caption.textContent = "Enter activity concentrations and their units";
             rows = source.getIsotopes();
             cols = source.media.concat(source.getOrganisms());
             getter = source.getActivityConcentration.bind(source);
@@ -126,21 +213,91 @@ var generateTable = function(type, source) {
             cols = ["Sediment to water activity concentration ratio"];
             getter = source.getPercentageDryWeight.bind(source);
             break;
+        case "risk":
+            caption.textContent = "Enter risk assessment parameters";
+            rows = ["Screening dose rate", "Uncertainty factor"];
+            cols = ["Value"];
+            getter = source.getRiskParameter.bind(source);
+            break;
         case "output":
-            caption.textContent = "Total dose rates, \u03bcGy h\u207b\u00b9";
+            caption.textContent = `${view} dose rates, ${doseRateUnit}`;
             rows = source.getIsotopes();
             cols = source.getOrganisms();
-            getter = source.getTotalDoseRate.bind(source);
+            if (view === "Total") {
+                getter = source.getTotalDoseRate.bind(source);
+                totalGetter = source.getOrganismTotalDoseRate.bind(source);
+                totalQuotientGetter = source.getOrganismRiskQuotient.bind(source);
+            }
+            else {
+                getter = source.getBreakdownDoseRate.bind(source, view);
+                totalGetter = source.getOrganismBreakdownDoseRate.bind(source, view);
+            }
+            break;
+        case "probabilistic":
+            caption.textContent = `Total dose rates, ${doseRateUnit} ` +
+                `(Monte Carlo, ${source.iterations} iterations, seed ${source.seed})`;
+            rows = source.getOrganisms();
+            cols = source.getStatisticNames();
+            getter = source.getStatistic.bind(source);
+            break;
+        case "batch":
+            caption.textContent = `Organisms total dose rates for sites and dates, ${doseRateUnit} ` +
+                "(maximum for site is highlighted)";
+            rows = source.getLabels();
+            cols = source.getOrganisms();
+            getter = source.getDoseRate.bind(source);
+            break;
+        case "quotients":
+            caption.textContent = "Risk quotients (screening dose rate " +
+                `${screening} ${doseRateUnit}, ` +
+                `uncertainty factor ${source.uncertaintyFactor})`;
+            rows = source.getIsotopes();
+            cols = source.getOrganisms();
+            getter = source.getRiskQuotient.bind(source);
+            totalGetter = source.getOrganismRiskQuotient.bind(source);
+            totalQuotientGetter = totalGetter;
+            break;
+        case "limits":
+            caption.textContent = "Environmental media concentration limits, Bq/kg " +
+                `(screening dose rate ${screening} ${doseRateUnit}, ` +
+                `uncertainty factor ${source.setting.uncertaintyFactor})`;
+            rows = source.getIsotopes();
+            cols = source.getMedia();
+            getter = source.getLimit.bind(source);
+            break;
+        case "fractions":
+            caption.textContent = "Fractions of limits for measured activity concentrations";
+            rows = source.getIsotopes();
+            cols = source.getMedia();
+            getter = source.getFraction.bind(source);
+            totalGetter = source.getSumOfFractions.bind(source);
+            totalQuotientGetter = totalGetter;
+            break;
     }
+    var isOutput = ["output", "quotients", "probabilistic", "batch", "limits", "fractions"].includes(type);
+    var isDoseRate = ["output", "probabilistic", "batch"].includes(type);
+
+    // Risk verdicts make sense only for total dose rates
+    var showVerdict = ["quotients", "batch", "fractions"].includes(type) ||
+        (type === "output" && view === "Total");
 
     // Generate header
     var tableHeader = document.createElement("thead");
     var headerRow = document.createElement("tr");
     headerRow.appendChild(document.createElement("td"));
-    for (col of cols) {
+    for (var col of cols) {
         var header = document.createElement("th");
         header.textContent = col;
         header.scope = "col";
+        // Custom organisms aren't ERICA's standard ones
+        if (source.isCustomOrganism && source.isCustomOrganism(col)) {
+            header.textContent += " (custom)";
+            header.classList.add("custom-item");
+        }
+        if (type === "isotopes") {
+            header.appendChild(document.createElement("br"));
+            header.appendChild(createUnitSelect(col, activityUnits, source.getActivityUnit(col)));
+        }
         headerRow.appendChild(header);
     }
     tableHeader.appendChild(headerRow);
@@ -148,17 +305,43 @@ var generateTable = function(type, source) {
 
     // Generate body
     var tableBody = document.createElement("tbody");
-    for (row of rows) {
+    for (var row of rows) {
         var bodyRow = document.createElement("tr");
         var header = document.createElement("th");
         header.textContent = row;
         header.scope = "row";
+        // Custom radionuclides and organisms aren't ERICA's standard ones
+        if (source.isCustomIsotope && source.isCustomIsotope(row) ||
+            source.isCustomOrganism && source.isCustomOrganism(row)) {
+            header.textContent += " (custom)";
+            header.classList.add("custom-item");
+        }
         bodyRow.appendChild(header);
-        for (col of cols) {
+        for (var col of cols) {
             var cell = document.createElement("td");
-            if (type === "output") {
+            if (type === "probabilistic") {
+                var value = getter(row, col);
+                cell.textContent = col.startsWith("P(") ?
+                    `${(value * 100).toFixed(1)} %` : convertDoseRate(value, doseRateUnit).toExponential(2);
+            }
+            else if (isOutput) {
                 var value = getter(row, col);
-                cell.textContent = value ? value.toExponential(2) : "No data";
+                if (isDoseRate) {
+                    value = convertDoseRate(value, doseRateUnit);
+                }
+                cell.textContent = isMissing(value) ? "No data" : value.toExponential(2);
+                if (showVerdict) {
+                    var verdict = markVerdict(cell, source, source.getRiskQuotient(row, col));
+                }
+                if ((type === "quotients" || type === "fractions") && verdict) {
+                    cell.textContent += ` (${verdict})`;
+                }
+                if (type === "batch" && source.isSiteMaximum(row, col)) {
+                    cell.classList.add("site-maximum");
+                }
+                if (type === "limits" && source.getLimitingOrganism(row, col)) {
+                    cell.title = `Limited by ${source.getLimitingOrganism(row, col)}`;
+                }
             }
             else {
                 var value = document.createElement("input");
@@ -166,7 +349,7 @@ var generateTable = function(type, source) {
                 value.name = (row + "." + col).replace(/ /g, "_");
                 value.min = "0";
                 if (type === "organisms") {
-                    // TODO: Don't allow input more than 1 in total
+                    // Sum of factors is checked by validation
                     value.max = "1";
                 }
                 // allow decimals
@@ -191,17 +374,26 @@ var generateTable = function(type, source) {
 
     table.appendChild(tableBody);
 
-    if (type === "output") {
+    if (totalGetter) {
         var footer = document.createElement("tfoot");
         var totalRow = document.createElement("tr");
         var header = document.createElement("th");
         header.textContent = "Total";
         header.scope = "row";
         totalRow.appendChild(header);
-        for (col of cols) {
+        for (var col of cols) {
             var cell = document.createElement("td");
-            var value = source.getOrganismTotalDoseRate(col);
-            cell.textContent = value ? value.toExponential(2) : "No data";
+            var value = totalGetter(col);
+            if (isDoseRate) {
+                value = convertDoseRate(value, doseRateUnit);
+            }
+            cell.textContent = isMissing(value) ? "No data" : value.toExponential(2);
+            if (showVerdict) {
+                var verdict = markVerdict(cell, source, totalQuotientGetter(col));
+            }
+            if ((type === "quotients" || type === "fractions") && verdict) {
+                cell.textContent += ` (${verdict})`;
+            }
             totalRow.append(cell);
         }
         footer.appendChild(totalRow);
@@ -212,6 +404,223 @@ var generateTable = function(type, source) {
 };
 
 
+// Create units selector, units are names of options
+var createUnitSelect = function(name, units, value) {
+    var select = document.createElement("select");
+    select.name = name.replace(/ /g, "_");
+    for (var unit in units) {
+        // Chosen unit is default one for form reset
+        select.add(new Option(unit, unit, unit === value, unit === value));
+    }
+    return select;
+};
+
+
+/*
+Show skipped isotopes and organisms of result and table of parameters
+used in calculations with their origins (collapsed).
+*/
+var generateOrigins = function(result) {
+    var container = document.createElement("div");
+
+    var skipped = result.getSkipped();
+    for (var type in skipped) {
+        for (var item of skipped[type]) {
+            var message = document.createElement("p");
+            message.className = "message error-message";
+            message.textContent = `${item.name} skipped: ${item.reason}`;
+            container.appendChild(message);
+        }
+    }
+
+    var parameters = result.getParameterOrigins();
+    if (!parameters.length) {
+        return container;
+    }
+    var details = document.createElement("details");
+    var summary = document.createElement("summary");
+    var assumed = parameters.filter(function(item) {
+        return item.origin !== "user";
+    }).length;
+    summary.textContent = `Parameters used in calculations (${assumed} of ${parameters.length} not entered)`;
+    details.appendChild(summary);
+
+    var table = document.createElement("table");
+    var tableHeader = document.createElement("thead");
+    var headerRow = document.createElement("tr");
+    for (var col of ["Parameter", "Isotope, nuclide or organism", "Object", "Value", "Origin", "Note"]) {
+        var header = document.createElement("th");
+        header.textContent = col;
+        header.scope = "col";
+        headerRow.appendChild(header);
+    }
+    tableHeader.appendChild(headerRow);
+    table.appendChild(tableHeader);
+
+    var tableBody = document.createElement("tbody");
+    for (var item of parameters) {
+        var bodyRow = document.createElement("tr");
+        bodyRow.className = `origin-${item.origin}`;
+        var value = item.value;
+        if (Array.isArray(value)) {
+            value = value.map(function(number) {
+                return number.toExponential(2);
+            }).join(" ");
+        }
+        else if (value !== null) {
+            value = value.toExponential(2);
+        }
+        var cells = [
+            parameterNames[item.parameter],
+            item.key,
+            item.object,
+            value === null ? "" : value,
+            originNames[item.origin],
+            item.note
+        ];
+        for (var text of cells) {
+            var cell = document.createElement("td");
+            cell.textContent = text;
+            bodyRow.appendChild(cell);
+        }
+        tableBody.appendChild(bodyRow);
+    }
+    table.appendChild(tableBody);
+    details.appendChild(table);
+    container.appendChild(details);
+    return container;
+};
+
+
+// Add buttons to save chart as SVG or PNG file (for reports), getChart returns current chart
+var addChartExport = function(parent, getChart, filename) {
+    var svgButton = document.createElement("button");
+    svgButton.type = "button";
+    svgButton.className = "button";
+    svgButton.textContent = "Save SVG";
+    svgButton.addEventListener("click", function() {
+        downloadFile(getSvgText(getChart()), `${filename}.svg`, "image/svg+xml");
+    });
+    parent.appendChild(svgButton);
+
+    var pngButton = document.createElement("button");
+    pngButton.type = "button";
+    pngButton.className = "button";
+    pngButton.textContent = "Save PNG";
+    pngButton.addEventListener("click", function() {
+        renderChartPng(getChart(), function(png) {
+            if (png) {
+                downloadFile(png, `${filename}.png`, "image/png");
+            }
+            else {
+                showMessage(message, "Can't render chart as PNG", true);
+            }
+        });
+    });
+    parent.appendChild(pngButton);
+};
+
+/*
+Generate charts for result: organisms total dose rates by isotopes
+and isotopes dose rates by pathways for organism chosen with selector.
+*/
+var generateCharts = function(result) {
+    var container = document.createElement("div");
+    container.className = "charts";
+
+    var organismsChart = createOrganismsChart(result);
+    container.appendChild(organismsChart);
+    addChartExport(container, function() {
+        return organismsChart;
+    }, "hydra-organisms");
+
+    var label = document.createElement("label");
+    label.className = "view-select";
+    label.textContent = "Isotopes for ";
+    var organismSelect = document.createElement("select");
+    for (var organism of result.getOrganisms()) {
+        organismSelect.add(new Option(organism));
+    }
+    label.appendChild(organismSelect);
+    container.appendChild(label);
+
+    var isotopesChart = createIsotopesChart(result, organismSelect.value);
+    container.appendChild(isotopesChart);
+    organismSelect.addEventListener("change", function() {
+        var chart = createIsotopesChart(result, organismSelect.value);
+        isotopesChart.replaceWith(chart);
+        isotopesChart = chart;
+    });
+    addChartExport(container, function() {
+        return isotopesChart;
+    }, "hydra-isotopes");
+
+    return container;
+};
+
+
+// Generate table of organisms total dose rates compared with DCRL bands of their RAPs
+var generateDcrl = function(result) {
+    var unit = result.getDoseRateUnit();
+    var table = document.createElement("table");
+    var caption = document.createElement("caption");
+    caption.textContent = `Comparison with ICRP Derived Consideration Reference Levels, ${unit}`;
+    table.appendChild(caption);
+
+    var tableHeader = document.createElement("thead");
+    var headerRow = document.createElement("tr");
+    for (var col of ["Organism", "Reference Animal or Plant", "DCRL band", "Total dose rate", "Comparison"]) {
+        var header = document.createElement("th");
+        header.textContent = col;
+        header.scope = "col";
+        headerRow.appendChild(header);
+    }
+    tableHeader.appendChild(headerRow);
+    table.appendChild(tableHeader);
+
+    var tableBody = document.createElement("tbody");
+    for (var organism of result.getOrganisms()) {
+        var bodyRow = document.createElement("tr");
+        var rowHeader = document.createElement("th");
+        rowHeader.textContent = organism;
+        rowHeader.scope = "row";
+        bodyRow.appendChild(rowHeader);
+
+        var band = result.getDcrlBand(organism);
+        var verdict = result.getDcrlVerdict(organism);
+        var cells = [
+            band ? band.rap : "No data",
+            band ? `${convertDoseRate(band.min, unit).toExponential(2)} – ` +
+                `${convertDoseRate(band.max, unit).toExponential(2)}` : "",
+            convertDoseRate(result.getOrganismTotalDoseRate(organism), unit).toExponential(2),
+            verdict ? `${verdict} band` : ""
+        ];
+        for (var text of cells) {
+            var cell = document.createElement("td");
+            cell.textContent = text;
+            bodyRow.appendChild(cell);
+        }
+        if (verdict) {
+            bodyRow.lastChild.className = `dcrl-${verdict}`;
+        }
+        tableBody.appendChild(bodyRow);
+    }
+    table.appendChild(tableBody);
+    return table;
+};
+
+
+// Mark output cell with risk verdict for its risk quotient
+var markVerdict = function(cell, result, riskQuotient) {
+    var verdict = result.getRiskVerdict(riskQuotient);
+    if (verdict) {
+        cell.classList.add(verdict.replace(/ /g, "-"));
+        cell.title = `RQ ${riskQuotient.toExponential(2)}: ${verdict}`;
+    }
+    return verdict;
+};
+
+
 // Add item selector right before target element (button)
 var addCheckbox = function(target, type, setting, list) {
 
@@ -222,26 +631,42 @@ var addCheckbox = function(target, type, setting, list) {
 
     switch (type) {
         case "isotopes":
-            array = erica.isotopes;
+            array = setting.getAvailableIsotopes();
             setter = setting.addIsotope.bind(setting);
             getter = setting.getIsotopes.bind(setting);
             remover = setting.deleteIsotope.bind(setting);
             break;
         case "organisms":
-            array = erica.organisms;
+            array = setting.getAvailableOrganisms();
             setter = setting.addOrganism.bind(setting);
             getter = setting.getOrganisms.bind(setting);
             remover = setting.deleteOrganism.bind(setting);
             break;
     }
 
-    for (item of array) {
+    var selected = getter();
+    for (var item of array) {
         var label = document.createElement("label");
         label.className = "control-item";
         label.textContent = item;
         var checkbox = document.createElement("input");
         checkbox.type = "checkbox";
 
+        if (type === "isotopes" && setting.isCustomIsotope(item)) {
+            label.classList.add("custom-item");
+            label.title = "Custom radionuclide";
+        }
+        if (type === "organisms" && setting.isCustomOrganism(item)) {
+            label.classList.add("custom-item");
+            label.title = `Custom organism (CRs of ${setting.getSurrogateOrganism(item)})`;
+        }
+
+        // Restore state for items already in setting
+        if (selected.includes(item)) {
+            checkbox.checked = true;
+            label.classList.add("selected-item");
+        }
+
         checkbox.addEventListener("change", function(e) {
             var value = e.target.parentNode.textContent;
             if (e.target.checked) {
@@ -258,3 +683,1228 @@ var addCheckbox = function(target, type, setting, list) {
         target.appendChild(label);
     }
 };
+
+
+// Remove item selectors from target
+var clearCheckbox = function(target) {
+    for (var label of target.querySelectorAll("label")) {
+        label.remove();
+    }
+};
+
+
+// Save content as file
+var downloadFile = function(content, filename, type) {
+    var file = new Blob([content], {type: type});
+    var fileURL = URL.createObjectURL(file);
+    var ref = document.createElement("a");
+    document.body.appendChild(ref);
+    ref.href = fileURL;
+    ref.download = filename;
+    ref.click();
+    ref.remove();
+    window.URL.revokeObjectURL(fileURL);
+};
+
+// Show message to user (errors are highlighted)
+var showMessage = function(target, text, isError=false) {
+    target.textContent = text;
+    target.classList.toggle("error-message", isError);
+};
+
+
+/*
+Show form for probability distributions of parameters.
+run is called with number of iterations and seed for Monte Carlo assessment.
+*/
+var showDistributions = function(appFrame, setting, run) {
+    var container = document.createElement("div");
+    appFrame.appendChild(container);
+
+    var form = document.createElement("form");
+    form.name = "distributions";
+    container.appendChild(form);
+
+    var parameters = {
+        "isotopes": "Activity concentration",
+        "organisms": "Occupancy factor",
+        "CRs": "Concentration ratio",
+        "Kds": "Distribution coefficient"
+    };
+
+    // Keys and objects of parameters
+    var getKeys = function(parameter) {
+        switch (parameter) {
+            case "isotopes":
+                return [setting.getIsotopes(), setting.media.concat(setting.getOrganisms())];
+            case "organisms":
+                return [setting.getOrganisms(), Object.keys(setting.habitats)];
+            case "CRs":
+                return [Array.from(new Set(setting.getNuclides())), setting.getOrganisms()];
+            case "Kds":
+                return [Array.from(new Set(setting.getNuclides())), [""]];
+        }
+    };
+
+    var addSelect = function(parent, options, labels) {
+        var select = document.createElement("select");
+        for (var option of options) {
+            select.add(new Option(labels ? labels[option] : option, option));
+        }
+        parent.appendChild(select);
+        return select;
+    };
+
+    // Table of defined distributions
+    var table = document.createElement("table");
+    var caption = document.createElement("caption");
+    caption.textContent = "Probability distributions of parameters";
+    table.appendChild(caption);
+    var tableBody = document.createElement("tbody");
+    table.appendChild(tableBody);
+    form.appendChild(table);
+
+    var updateTable = function() {
+        tableBody.textContent = "";
+        for (var item of setting.getDistributions()) {
+            var bodyRow = document.createElement("tr");
+            var distribution = item[3];
+            var names = distributions[distribution.type].parameters;
+            var cells = [
+                parameters[item[0]],
+                item[1],
+                item[2],
+                distribution.type,
+                distribution.parameters.map(function(value, index) {
+                    return `${names[index]} ${value}`;
+                }).join(", ")
+            ];
+            for (var text of cells) {
+                var cell = document.createElement("td");
+                cell.textContent = text;
+                bodyRow.appendChild(cell);
+            }
+            var cell = document.createElement("td");
+            var deleteButton = document.createElement("button");
+            deleteButton.type = "button";
+            deleteButton.textContent = "Delete";
+            deleteButton.addEventListener("click", function(parameter, key, object) {
+                setting.deleteDistribution(parameter, key, object);
+                updateTable();
+            }.bind(null, item[0], item[1], item[2]));
+            cell.appendChild(deleteButton);
+            bodyRow.appendChild(cell);
+            tableBody.appendChild(bodyRow);
+        }
+    };
+    updateTable();
+
+    // Selectors for new distribution
+    var fieldset = document.createElement("fieldset");
+    var legend = document.createElement("legend");
+    legend.textContent = "Add distribution";
+    fieldset.appendChild(legend);
+    form.appendChild(fieldset);
+
+    var parameterSelect = addSelect(fieldset, Object.keys(parameters), parameters);
+    var keySelect = addSelect(fieldset, []);
+    var objectSelect = addSelect(fieldset, []);
+    var typeSelect = addSelect(fieldset, Object.keys(distributions));
+    var valueInputs = [];
+    for (var i = 0; i < 3; i++) {
+        var value = document.createElement("input");
+        value.type = "number";
+        value.min = "0";
+        value.step = "any";
+        fieldset.appendChild(value);
+        valueInputs.push(value);
+    }
+
+    var updateKeys = function() {
+        var keys = getKeys(parameterSelect.value);
+        keySelect.textContent = "";
+        objectSelect.textContent = "";
+        for (var key of keys[0]) {
+            keySelect.add(new Option(key));
+        }
+        for (var object of keys[1]) {
+            objectSelect.add(new Option(object));
+        }
+        objectSelect.hidden = parameterSelect.value === "Kds";
+    };
+    parameterSelect.addEventListener("change", updateKeys);
+    updateKeys();
+
+    var updateInputs = function() {
+        var names = distributions[typeSelect.value].parameters;
+        valueInputs.forEach(function(input, index) {
+            input.hidden = index >= names.length;
+            input.placeholder = names[index] || "";
+        });
+    };
+    typeSelect.addEventListener("change", updateInputs);
+    updateInputs();
+
+    var message = document.createElement("p");
+    var addButton = document.createElement("button");
+    addButton.type = "button";
+    addButton.textContent = "Add";
+    addButton.addEventListener("click", function() {
+        var values = valueInputs.filter(function(input) {
+            return !input.hidden;
+        }).map(function(input) {
+            return parseFloat(input.value);
+        });
+        if (!keySelect.value) {
+            showMessage(message, "Add isotopes and organisms first", true);
+            return;
+        }
+        try {
+            setting.setDistribution(parameterSelect.value, keySelect.value, objectSelect.value,
+                {type: typeSelect.value, parameters: values});
+            showMessage(message, "");
+            updateTable();
+        }
+        catch (error) {
+            showMessage(message, error.message, true);
+        }
+    });
+    fieldset.appendChild(addButton);
+    fieldset.appendChild(message);
+
+    // Monte Carlo options
+    var options = document.createElement("fieldset");
+    var optionsLegend = document.createElement("legend");
+    optionsLegend.textContent = "Monte Carlo";
+    options.appendChild(optionsLegend);
+    form.appendChild(options);
+
+    var addNumber = function(text, defaultValue) {
+        var label = document.createElement("label");
+        label.textContent = text;
+        var input = document.createElement("input");
+        input.type = "number";
+        input.min = "1";
+        input.step = "1";
+        input.defaultValue = defaultValue;
+        label.appendChild(input);
+        options.appendChild(label);
+        return input;
+    };
+    var iterationsInput = addNumber("Iterations ", 1000);
+    iterationsInput.max = maxIterations;
+    var seedInput = addNumber(" Seed ", 1);
+
+    var runButton = document.createElement("button");
+    runButton.type = "button";
+    runButton.textContent = "Run";
+    runButton.addEventListener("click", function() {
+        run(parseInt(iterationsInput.value) || 1000, parseInt(seedInput.value) || 1);
+        container.remove();
+    });
+    form.appendChild(runButton);
+
+    var closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", function() {
+        container.remove();
+    });
+    form.appendChild(closeButton);
+
+    return container;
+};
+
+
+// Show form for sensitivity analysis, run is called with perturbation fraction
+var showSensitivity = function(appFrame, run) {
+    var container = document.createElement("div");
+    appFrame.appendChild(container);
+
+    var form = document.createElement("form");
+    form.name = "sensitivity";
+    container.appendChild(form);
+
+    var label = document.createElement("label");
+    label.textContent = "Perturb each parameter by fraction ";
+    var fractionInput = document.createElement("input");
+    fractionInput.type = "number";
+    fractionInput.min = "0.001";
+    fractionInput.max = "0.999";
+    fractionInput.step = "0.001";
+    fractionInput.defaultValue = 0.1;
+    label.appendChild(fractionInput);
+    form.appendChild(label);
+
+    var runButton = document.createElement("button");
+    runButton.type = "button";
+    runButton.textContent = "Run";
+    runButton.addEventListener("click", function() {
+        var fraction = parseFloat(fractionInput.value);
+        run(fraction > 0 && fraction < 1 ? fraction : 0.1);
+        container.remove();
+    });
+    form.appendChild(runButton);
+
+    var closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", function() {
+        container.remove();
+    });
+    form.appendChild(closeButton);
+
+    return container;
+};
+
+// Generate ranked parameters tables and tornado charts (top 10 parameters) for organisms
+var generateSensitivity = function(sensitivity) {
+    var container = document.createElement("div");
+    var percents = `${sensitivity.fraction * 100} %`;
+    var unit = sensitivity.setting.getDoseRateUnit();
+    for (var organism of sensitivity.getOrganisms()) {
+        // Dose rates are converted to chosen units
+        var influences = sensitivity.getInfluences(organism).map(function(influence) {
+            return {
+                parameter: influence.parameter,
+                low: convertDoseRate(influence.low, unit),
+                high: convertDoseRate(influence.high, unit),
+                elasticity: influence.elasticity
+            };
+        });
+        var base = convertDoseRate(sensitivity.baseDoseRates[organism], unit);
+
+        var details = document.createElement("details");
+        var summary = document.createElement("summary");
+        summary.textContent = `${organism}: ${base.toExponential(2)} ${unit}`;
+        details.appendChild(summary);
+
+        var table = document.createElement("table");
+        var caption = document.createElement("caption");
+        caption.textContent = `Parameters influence (parameters changed by ${percents})`;
+        table.appendChild(caption);
+
+        var tableHeader = document.createElement("thead");
+        var headerRow = document.createElement("tr");
+        for (var col of ["Rank", "Parameter", "Elasticity", "Decreased", "Increased"]) {
+            var header = document.createElement("th");
+            header.textContent = col;
+            header.scope = "col";
+            headerRow.appendChild(header);
+        }
+        tableHeader.appendChild(headerRow);
+        table.appendChild(tableHeader);
+
+        var tableBody = document.createElement("tbody");
+        influences.forEach(function(influence, index) {
+            var bodyRow = document.createElement("tr");
+            var cells = [
+                index + 1,
+                influence.parameter,
+                influence.elasticity.toFixed(3),
+                influence.low.toExponential(2),
+                influence.high.toExponential(2)
+            ];
+            for (var text of cells) {
+                var cell = document.createElement("td");
+                cell.textContent = text;
+                bodyRow.appendChild(cell);
+            }
+            tableBody.appendChild(bodyRow);
+        });
+        table.appendChild(tableBody);
+        details.appendChild(table);
+
+        if (influences.length) {
+            details.appendChild(createTornadoChart(influences.slice(0, 10), base,
+                `${organism}, total dose rate, ${unit}`));
+        }
+        container.appendChild(details);
+    }
+    return container;
+};
+
+/*
+Show form for time-dependent assessment: time series of isotopes in media,
+assessment period and time step. run is called with period and step (days)
+after time series are set.
+Points are entered as "day:value" pairs separated by spaces or commas.
+*/
+var showTimeSeries = function(appFrame, setting, run) {
+    var container = document.createElement("div");
+    appFrame.appendChild(container);
+
+    var form = document.createElement("form");
+    form.name = "time-series";
+    container.appendChild(form);
+
+    var addNumber = function(parent, value, min="0") {
+        var input = document.createElement("input");
+        input.type = "number";
+        input.min = min;
+        input.step = "any";
+        if (!isMissing(value)) {
+            input.defaultValue = value;
+        }
+        parent.appendChild(input);
+        return input;
+    };
+
+    var periodLabel = document.createElement("label");
+    periodLabel.textContent = "Period, days ";
+    var periodInput = addNumber(periodLabel, 30);
+    form.appendChild(periodLabel);
+    var stepLabel = document.createElement("label");
+    stepLabel.textContent = " Time step, days ";
+    var stepInput = addNumber(stepLabel, 1);
+    form.appendChild(stepLabel);
+
+    var table = document.createElement("table");
+    var caption = document.createElement("caption");
+    caption.textContent = "Activity concentrations over time (in units of Activity table)";
+    table.appendChild(caption);
+
+    var tableHeader = document.createElement("thead");
+    var headerRow = document.createElement("tr");
+    for (var col of ["Isotope", "Medium", "Type", "Initial value", "Dilution half-time, days", "Points (day:value)"]) {
+        var header = document.createElement("th");
+        header.textContent = col;
+        header.scope = "col";
+        headerRow.appendChild(header);
+    }
+    tableHeader.appendChild(headerRow);
+    table.appendChild(tableHeader);
+
+    var tableBody = document.createElement("tbody");
+    var rows = [];
+    for (var isotope of setting.getIsotopes()) {
+        for (var medium of setting.media) {
+            var series = setting.getTimeSeries(isotope, medium) || {};
+            var bodyRow = document.createElement("tr");
+            for (var text of [isotope, medium]) {
+                var rowHeader = document.createElement("th");
+                rowHeader.textContent = text;
+                rowHeader.scope = "row";
+                bodyRow.appendChild(rowHeader);
+            }
+            var row = {isotope: isotope, medium: medium, cells: []};
+            for (var i = 0; i < 4; i++) {
+                row.cells.push(document.createElement("td"));
+                bodyRow.appendChild(row.cells[i]);
+            }
+            row.type = document.createElement("select");
+            row.type.add(new Option("Not set", ""));
+            row.type.add(new Option("Initial value with decay and dilution", "initial"));
+            row.type.add(new Option("Points", "points"));
+            row.type.value = series.type || "";
+            row.cells[0].appendChild(row.type);
+            row.value = addNumber(row.cells[1], series.value);
+            row.dilution = addNumber(row.cells[2], series.dilution);
+            row.points = document.createElement("input");
+            row.points.type = "text";
+            row.points.placeholder = "0:10, 7:2.5";
+            row.points.defaultValue = (series.points || []).map(function(point) {
+                return point.join(":");
+            }).join(", ");
+            row.cells[3].appendChild(row.points);
+            tableBody.appendChild(bodyRow);
+            rows.push(row);
+        }
+    }
+    table.appendChild(tableBody);
+    form.appendChild(table);
+
+    var message = document.createElement("p");
+    message.className = "message";
+    form.appendChild(message);
+
+    // Set time series of all rows, setting isn't changed if some of them are wrong
+    var apply = function() {
+        var checked = setting.clone();
+        for (var row of rows) {
+            checked.deleteTimeSeries(row.isotope, row.medium);
+            if (row.type.value === "initial") {
+                checked.setTimeSeries(row.isotope, row.medium, {
+                    type: "initial",
+                    value: parseFloat(row.value.value),
+                    dilution: parseFloat(row.dilution.value)
+                });
+            }
+            else if (row.type.value === "points") {
+                var text = row.points.value.trim();
+                checked.setTimeSeries(row.isotope, row.medium, {
+                    type: "points",
+                    points: text ? text.split(/[\s,]+/).map(function(pair) {
+                        return pair.split(":").map(Number);
+                    }) : []
+                });
+            }
+        }
+        setting.timeSeries = checked.timeSeries;
+    };
+
+    var runButton = document.createElement("button");
+    runButton.type = "button";
+    runButton.textContent = "Run";
+    runButton.addEventListener("click", function() {
+        try {
+            apply();
+            run(parseFloat(periodInput.value), parseFloat(stepInput.value));
+        }
+        catch (error) {
+            showMessage(message, error.message, true);
+            return;
+        }
+        container.remove();
+    });
+    form.appendChild(runButton);
+
+    var closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", function() {
+        container.remove();
+    });
+    form.appendChild(closeButton);
+
+    return container;
+};
+
+// Generate table of peak dose rates and cumulative doses of organisms and dose rates chart
+var generateTimeSeries = function(timeSeries, unit) {
+    var container = document.createElement("div");
+    var doseUnit = getDoseUnit(unit);
+
+    var table = document.createElement("table");
+    var caption = document.createElement("caption");
+    caption.textContent = `Dose over ${timeSeries.period} days`;
+    table.appendChild(caption);
+
+    var tableHeader = document.createElement("thead");
+    var headerRow = document.createElement("tr");
+    for (var col of ["Organism", `Peak dose rate, ${unit}`, "Time of peak, days", `Cumulative dose, ${doseUnit}`]) {
+        var header = document.createElement("th");
+        header.textContent = col;
+        header.scope = "col";
+        headerRow.appendChild(header);
+    }
+    tableHeader.appendChild(headerRow);
+    table.appendChild(tableHeader);
+
+    var tableBody = document.createElement("tbody");
+    for (var organism of timeSeries.getOrganisms()) {
+        var peak = timeSeries.getPeakDoseRate(organism);
+        var dose = convertDose(timeSeries.getCumulativeDose(organism), doseUnit);
+        var bodyRow = document.createElement("tr");
+        var rowHeader = document.createElement("th");
+        rowHeader.textContent = organism;
+        rowHeader.scope = "row";
+        bodyRow.appendChild(rowHeader);
+        var cells = [
+            isNaN(peak.value) ? "No data" : convertDoseRate(peak.value, unit).toExponential(2),
+            isNaN(peak.time) ? "" : peak.time,
+            isNaN(dose) ? "No data" : dose.toExponential(2)
+        ];
+        for (var text of cells) {
+            var cell = document.createElement("td");
+            cell.textContent = text;
+            bodyRow.appendChild(cell);
+        }
+        tableBody.appendChild(bodyRow);
+    }
+    table.appendChild(tableBody);
+    container.appendChild(table);
+
+    var charts = document.createElement("div");
+    charts.className = "charts";
+    var chart = createTimeSeriesChart(timeSeries, unit);
+    charts.appendChild(chart);
+    addChartExport(charts, function() {
+        return chart;
+    }, "hydra-time-series");
+
+    var csvButton = document.createElement("button");
+    csvButton.type = "button";
+    csvButton.className = "button";
+    csvButton.textContent = "Save CSV";
+    csvButton.addEventListener("click", function() {
+        downloadFile(timeSeries.toCSV(unit), "hydra-time-series.csv", "text/csv");
+    });
+    charts.appendChild(csvButton);
+    container.appendChild(charts);
+
+    return container;
+};
+
+// Show form for comparison of scenarios, run is called with names of checked scenarios
+var showComparison = function(appFrame, names, active, run) {
+    var container = document.createElement("div");
+    appFrame.appendChild(container);
+
+    var form = document.createElement("form");
+    form.name = "comparison";
+    container.appendChild(form);
+
+    var fieldset = document.createElement("fieldset");
+    var legend = document.createElement("legend");
+    legend.textContent = "Scenarios to compare (the first one is base)";
+    fieldset.appendChild(legend);
+    var checkboxes = names.map(function(name) {
+        var label = document.createElement("label");
+        label.className = "control-item";
+        label.textContent = name;
+        var checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.value = name;
+        checkbox.checked = name === active;
+        label.appendChild(checkbox);
+        fieldset.appendChild(label);
+        return checkbox;
+    });
+    form.appendChild(fieldset);
+
+    var runButton = document.createElement("button");
+    runButton.type = "button";
+    runButton.textContent = "Run";
+    var getChecked = function() {
+        return checkboxes.filter(function(checkbox) {
+            return checkbox.checked;
+        }).map(function(checkbox) {
+            return checkbox.value;
+        });
+    };
+    // At least two scenarios are needed
+    var update = function() {
+        runButton.disabled = getChecked().length < 2;
+    };
+    form.addEventListener("change", update);
+    update();
+    runButton.addEventListener("click", function() {
+        run(getChecked());
+        container.remove();
+    });
+    form.appendChild(runButton);
+
+    var closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", function() {
+        container.remove();
+    });
+    form.appendChild(closeButton);
+
+    return container;
+};
+
+/*
+Generate tables of total dose rates of compared scenarios for organisms.
+Differences from base (the first) scenario are shown after each other scenario's values.
+*/
+var generateComparison = function(comparison, unit) {
+    var container = document.createElement("div");
+    var names = comparison.getNames();
+    var base = comparison.getBaseName();
+    var format = function(value) {
+        return Number.isNaN(value) ? "No data" : value.toExponential(2);
+    };
+
+    for (var organism of comparison.getOrganisms()) {
+        var table = document.createElement("table");
+        var caption = document.createElement("caption");
+        caption.textContent = `${organism}, total dose rate, ${unit} (differences from ${base})`;
+        table.appendChild(caption);
+
+        var tableHeader = document.createElement("thead");
+        var headerRow = document.createElement("tr");
+        var cols = ["Isotope", base];
+        for (var name of names.slice(1)) {
+            cols.push(name, "Δ", "Δ, %");
+        }
+        for (var col of cols) {
+            var header = document.createElement("th");
+            header.textContent = col;
+            header.scope = "col";
+            headerRow.appendChild(header);
+        }
+        tableHeader.appendChild(headerRow);
+        table.appendChild(tableHeader);
+
+        var tableBody = document.createElement("tbody");
+        for (var isotope of comparison.getIsotopes().concat(["Total"])) {
+            var bodyRow = document.createElement("tr");
+            var rowHeader = document.createElement("th");
+            rowHeader.textContent = isotope;
+            rowHeader.scope = "row";
+            bodyRow.appendChild(rowHeader);
+            var cells = [format(convertDoseRate(comparison.getDoseRate(base, isotope, organism), unit))];
+            for (var name of names.slice(1)) {
+                var difference = comparison.getDifference(name, isotope, organism);
+                cells.push(
+                    format(convertDoseRate(comparison.getDoseRate(name, isotope, organism), unit)),
+                    format(convertDoseRate(difference.absolute, unit)),
+                    Number.isNaN(difference.relative) ? "" : (difference.relative * 100).toFixed(1)
+                );
+            }
+            for (var text of cells) {
+                var cell = document.createElement("td");
+                cell.textContent = text;
+                bodyRow.appendChild(cell);
+            }
+            tableBody.appendChild(bodyRow);
+        }
+        table.appendChild(tableBody);
+        container.appendChild(table);
+    }
+    return container;
+};
+
+// Show form for ICRP Reference Animals or Plants of organisms (DCRL comparison)
+var showReferenceOrganisms = function(appFrame, setting) {
+    var container = document.createElement("div");
+    appFrame.appendChild(container);
+
+    var form = document.createElement("form");
+    form.name = "dcrl";
+    container.appendChild(form);
+
+    var table = document.createElement("table");
+    var caption = document.createElement("caption");
+    caption.textContent = "Choose ICRP Reference Animals or Plants (DCRL bands in mGy/d)";
+    table.appendChild(caption);
+    var tableBody = document.createElement("tbody");
+    var selects = {};
+    for (var organism of setting.getOrganisms()) {
+        var bodyRow = document.createElement("tr");
+        var header = document.createElement("th");
+        header.textContent = organism;
+        header.scope = "row";
+        bodyRow.appendChild(header);
+
+        var select = document.createElement("select");
+        select.name = organism.replace(/ /g, "_");
+        // Organisms without default RAP aren't compared until RAP is chosen
+        if (!setting.getReferenceOrganism(organism)) {
+            select.add(new Option("No comparison", ""));
+        }
+        for (var rap of setting.getReferenceOrganisms()) {
+            var band = setting.dataset.dcrl[rap];
+            select.add(new Option(`${rap} (${band[0]}–${band[1]})`, rap));
+        }
+        select.value = setting.getReferenceOrganism(organism);
+        selects[organism] = select;
+        var cell = document.createElement("td");
+        cell.appendChild(select);
+        bodyRow.appendChild(cell);
+        tableBody.appendChild(bodyRow);
+    }
+    table.appendChild(tableBody);
+    form.appendChild(table);
+
+    var okButton = document.createElement("button");
+    okButton.type = "button";
+    okButton.textContent = "OK";
+    okButton.addEventListener("click", function() {
+        for (var organism in selects) {
+            // Default RAP isn't saved, so it follows database
+            var rap = selects[organism].value;
+            setting.setReferenceOrganism(organism, "");
+            if (rap !== setting.getReferenceOrganism(organism)) {
+                setting.setReferenceOrganism(organism, rap);
+            }
+        }
+        container.remove();
+    });
+    form.appendChild(okButton);
+
+    var closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", function() {
+        container.remove();
+    });
+    form.appendChild(closeButton);
+
+    return container;
+};
+
+/*
+Show form for custom radionuclides and parameters of isotopes: DCCs for organisms,
+CRs and Kd of isotope's element. update is called when custom radionuclides are changed.
+Empty inputs are filled with ERICA's values in calculations (shown as placeholders).
+*/
+var showRadionuclides = function(appFrame, setting, update) {
+    var container = document.createElement("div");
+    appFrame.appendChild(container);
+
+    var form = document.createElement("form");
+    form.name = "DCCs";
+    container.appendChild(form);
+    // Enter in name input mustn't reload page
+    form.addEventListener("submit", function(event) {
+        event.preventDefault();
+    });
+
+    // Custom radionuclides
+    var fieldset = document.createElement("fieldset");
+    var legend = document.createElement("legend");
+    legend.textContent = "Custom radionuclides (not in ERICA's list)";
+    fieldset.appendChild(legend);
+    form.appendChild(fieldset);
+
+    var customList = document.createElement("ul");
+    fieldset.appendChild(customList);
+    var nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.placeholder = "e.g. Xx-123";
+    fieldset.appendChild(nameInput);
+    var addButton = document.createElement("button");
+    addButton.type = "button";
+    addButton.textContent = "Add";
+    fieldset.appendChild(addButton);
+    var nameMessage = document.createElement("p");
+    nameMessage.className = "message";
+    fieldset.appendChild(nameMessage);
+
+    var showCustomIsotopes = function() {
+        customList.textContent = "";
+        for (var isotope of setting.getCustomIsotopes()) {
+            var item = document.createElement("li");
+            item.textContent = `${isotope} `;
+            var deleteButton = document.createElement("button");
+            deleteButton.type = "button";
+            deleteButton.textContent = "Delete";
+            deleteButton.addEventListener("click", function(isotope) {
+                if (!validate().length) {
+                    apply();
+                }
+                setting.deleteCustomIsotope(isotope);
+                update();
+                showCustomIsotopes();
+                showIsotopes(isotopeSelect.value === isotope ? "" : isotopeSelect.value);
+            }.bind(null, isotope));
+            item.appendChild(deleteButton);
+            customList.appendChild(item);
+        }
+    };
+
+    addButton.addEventListener("click", function() {
+        var isotope = nameInput.value.trim();
+        try {
+            setting.addCustomIsotope(isotope);
+        }
+        catch (error) {
+            showMessage(nameMessage, error.message, true);
+            return;
+        }
+        // New radionuclide is selected, its DCCs are entered next
+        setting.addIsotope(isotope);
+        if (!validate().length) {
+            apply();
+        }
+        nameInput.value = "";
+        showMessage(nameMessage, "");
+        update();
+        showCustomIsotopes();
+        showIsotopes(isotope);
+    });
+
+    // Parameters of chosen isotope
+    var label = document.createElement("label");
+    label.textContent = "Parameters of ";
+    var isotopeSelect = document.createElement("select");
+    label.appendChild(isotopeSelect);
+    form.appendChild(label);
+    var tableFrame = document.createElement("div");
+    form.appendChild(tableFrame);
+    var current;
+
+    var addInput = function(bodyRow, name, value, placeholder) {
+        var cell = document.createElement("td");
+        var input = document.createElement("input");
+        input.type = "number";
+        input.name = name.replace(/ /g, "_");
+        input.min = "0";
+        input.step = "any";
+        if (!isMissing(value)) {
+            input.defaultValue = value;
+        }
+        if (!isMissing(placeholder)) {
+            input.placeholder = placeholder;
+        }
+        cell.appendChild(input);
+        bodyRow.appendChild(cell);
+    };
+
+    var showTable = function(isotope) {
+        current = isotope;
+        tableFrame.textContent = "";
+        if (!isotope) {
+            tableFrame.textContent = "Select isotopes to enter their parameters";
+            return;
+        }
+        var nuclide = isotope.split("-")[0];
+        var data = setting.dataset[setting.getEcosystem()];
+        var table = document.createElement("table");
+        var caption = document.createElement("caption");
+        caption.textContent = `DCCs of ${isotope} (µGy/h per Bq/kg) and CRs of ${nuclide}` +
+            (setting.isCustomIsotope(isotope) ? ", custom radionuclide" : "");
+        table.appendChild(caption);
+
+        var tableHeader = document.createElement("thead");
+        var headerRow = document.createElement("tr");
+        headerRow.appendChild(document.createElement("td"));
+        for (var col of dccNames.concat(["CR"])) {
+            var header = document.createElement("th");
+            header.textContent = col;
+            header.scope = "col";
+            headerRow.appendChild(header);
+        }
+        tableHeader.appendChild(headerRow);
+        table.appendChild(tableHeader);
+
+        var tableBody = document.createElement("tbody");
+        for (var organism of setting.getOrganisms()) {
+            var bodyRow = document.createElement("tr");
+            var rowHeader = document.createElement("th");
+            rowHeader.textContent = organism;
+            rowHeader.scope = "row";
+            bodyRow.appendChild(rowHeader);
+            var dccs = setting.getDoseConversionCoefficients(isotope, organism) || [];
+            var defaults = setting.getDefaultDoseConversionCoefficients(isotope, organism) || [];
+            dccNames.forEach(function(name, index) {
+                addInput(bodyRow, `${organism}.${name}`, dccs[index], defaults[index]);
+            });
+            addInput(bodyRow, `${organism}.CR`, (setting.concentrationRatios[nuclide] || {})[organism],
+                (data.cr[nuclide] || {})[setting.getSurrogateOrganism(organism)]);
+            tableBody.appendChild(bodyRow);
+        }
+        if (setting.media.includes("Sediment")) {
+            var kdRow = document.createElement("tr");
+            var kdHeader = document.createElement("th");
+            kdHeader.textContent = `Kd of ${nuclide}, L/kg`;
+            kdHeader.scope = "row";
+            kdRow.appendChild(kdHeader);
+            addInput(kdRow, "Kd.Kd", setting.getDistributionCoefficient(nuclide), data.kd[nuclide]);
+            tableBody.appendChild(kdRow);
+        }
+        table.appendChild(tableBody);
+        tableFrame.appendChild(table);
+        validate();
+    };
+
+    var showIsotopes = function(isotope) {
+        isotopeSelect.textContent = "";
+        for (var item of setting.getIsotopes()) {
+            isotopeSelect.add(new Option(item));
+        }
+        isotopeSelect.value = isotope || isotopeSelect.options[0] && isotopeSelect.options[0].value || "";
+        showTable(isotopeSelect.value);
+    };
+
+    var validate = function() {
+        var errors = showInputErrors(form, setting.validateInput("DCCs", readInput(form)));
+        okButton.disabled = errors.length > 0;
+        return errors;
+    };
+
+    // Write values of current isotope into setting
+    var apply = function() {
+        if (!current || !setting.getIsotopes().includes(current)) {
+            return;
+        }
+        var nuclide = current.split("-")[0];
+        var values = readInput(form);
+        for (var row in values) {
+            if (row === "Kd") {
+                setting.setDistributionCoefficient(nuclide, "", values[row]["Kd"]);
+                continue;
+            }
+            var dccs = dccNames.map(function(name) {
+                return values[row][name];
+            });
+            setting.setDoseConversionCoefficients(current, row, dccs.every(isMissing) ? null : dccs);
+            setting.setConcentrationRatio(nuclide, row, values[row]["CR"]);
+        }
+    };
+
+    // Values are kept when other isotope is chosen (if they are valid)
+    isotopeSelect.addEventListener("change", function() {
+        if (validate().length) {
+            isotopeSelect.value = current;
+            return;
+        }
+        apply();
+        showTable(isotopeSelect.value);
+    });
+    form.addEventListener("input", validate);
+
+    var okButton = document.createElement("button");
+    okButton.type = "button";
+    okButton.textContent = "OK";
+    okButton.addEventListener("click", function() {
+        apply();
+        container.remove();
+    });
+    form.appendChild(okButton);
+
+    var closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", function() {
+        container.remove();
+    });
+    form.appendChild(closeButton);
+
+    showCustomIsotopes();
+    showIsotopes();
+
+    return container;
+};
+
+/*
+Show form for custom organisms defined by mass, ellipsoid dimensions, occupancy profile
+and surrogate ERICA's organism. update is called when custom organisms are changed.
+*/
+var showCustomOrganisms = function(appFrame, setting, update) {
+    var container = document.createElement("div");
+    appFrame.appendChild(container);
+
+    var form = document.createElement("form");
+    form.name = "organisms-definition";
+    container.appendChild(form);
+    // Enter in inputs mustn't reload page
+    form.addEventListener("submit", function(event) {
+        event.preventDefault();
+    });
+
+    var fieldset = document.createElement("fieldset");
+    var legend = document.createElement("legend");
+    legend.textContent = "Custom organisms (not in ERICA's list)";
+    fieldset.appendChild(legend);
+    form.appendChild(fieldset);
+    var customList = document.createElement("ul");
+    fieldset.appendChild(customList);
+
+    var showList = function() {
+        customList.textContent = "";
+        for (var organism of setting.getCustomOrganisms()) {
+            var definition = setting.getCustomOrganism(organism);
+            var item = document.createElement("li");
+            item.textContent = `${organism}: ${definition.mass} kg, ${definition.dimensions.join(" × ")} m, ` +
+                `CRs of ${definition.surrogate} `;
+            var deleteButton = document.createElement("button");
+            deleteButton.type = "button";
+            deleteButton.textContent = "Delete";
+            deleteButton.addEventListener("click", function(organism) {
+                setting.deleteCustomOrganism(organism);
+                update();
+                showList();
+            }.bind(null, organism));
+            item.appendChild(deleteButton);
+            customList.appendChild(item);
+        }
+    };
+
+    // Definition of new organism
+    var table = document.createElement("table");
+    var caption = document.createElement("caption");
+    caption.textContent = "New organism (DCCs are interpolated from ERICA's organisms of similar size and shape)";
+    table.appendChild(caption);
+    var tableBody = document.createElement("tbody");
+    table.appendChild(tableBody);
+    form.appendChild(table);
+
+    var addRow = function(text, input) {
+        var bodyRow = document.createElement("tr");
+        var header = document.createElement("th");
+        header.textContent = text;
+        header.scope = "row";
+        bodyRow.appendChild(header);
+        var cell = document.createElement("td");
+        cell.appendChild(input);
+        bodyRow.appendChild(cell);
+        tableBody.appendChild(bodyRow);
+        return input;
+    };
+
+    var addNumber = function(text) {
+        var input = document.createElement("input");
+        input.type = "number";
+        input.min = "0";
+        input.step = "any";
+        return addRow(text, input);
+    };
+
+    var nameInput = document.createElement("input");
+    nameInput.type = "text";
+    addRow("Name", nameInput);
+    var massInput = addNumber("Mass, kg");
+    var dimensionInputs = ["Length, m", "Width, m", "Height, m"].map(addNumber);
+    var surrogateSelect = document.createElement("select");
+    for (var organism of setting.dataset[setting.getEcosystem()].organisms) {
+        surrogateSelect.add(new Option(organism));
+    }
+    addRow("CRs of", surrogateSelect);
+    var occupancyInputs = {};
+    for (var habitat in setting.habitats) {
+        occupancyInputs[habitat] = addNumber(`Occupancy factor in ${habitat}`);
+        occupancyInputs[habitat].max = "1";
+    }
+
+    var message = document.createElement("p");
+    message.className = "message";
+    form.appendChild(message);
+
+    var addButton = document.createElement("button");
+    addButton.type = "button";
+    addButton.textContent = "Add";
+    addButton.addEventListener("click", function() {
+        var name = nameInput.value.trim();
+        var occupancy = {};
+        for (var habitat in occupancyInputs) {
+            occupancy[habitat] = parseFloat(occupancyInputs[habitat].value);
+        }
+        try {
+            setting.addCustomOrganism(name, {
+                mass: parseFloat(massInput.value),
+                dimensions: dimensionInputs.map(function(input) {
+                    return parseFloat(input.value);
+                }),
+                occupancy: occupancy,
+                surrogate: surrogateSelect.value
+            });
+        }
+        catch (error) {
+            showMessage(message, error.message, true);
+            return;
+        }
+        // New organism is selected
+        setting.addOrganism(name);
+        form.reset();
+        showMessage(message, `${name} is added`);
+        update();
+        showList();
+    });
+    form.appendChild(addButton);
+
+    var closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", function() {
+        container.remove();
+    });
+    form.appendChild(closeButton);
+
+    showList();
+
+    return container;
+};
+
+// Show form for decay correction dates and progeny
+var showDecay = function(appFrame, setting) {
+    var container = document.createElement("div");
+    appFrame.appendChild(container);
+
+    var form = document.createElement("form");
+    form.name = "decay";
+    container.appendChild(form);
+
+    var addDate = function(parent, text, value) {
+        var label = document.createElement("label");
+        label.textContent = text;
+        var input = document.createElement("input");
+        input.type = "date";
+        input.value = value;
+        label.appendChild(input);
+        parent.appendChild(label);
+        return input;
+    };
+
+    // Sampling dates of isotopes
+    var table = document.createElement("table");
+    var caption = document.createElement("caption");
+    caption.textContent = "Decay correction to reference date";
+    table.appendChild(caption);
+    var tableBody = document.createElement("tbody");
+    table.appendChild(tableBody);
+    form.appendChild(table);
+
+    var referenceRow = document.createElement("tr");
+    var referenceInput = addDate(referenceRow, "Reference date ", setting.getReferenceDate());
+    tableBody.appendChild(referenceRow);
+
+    var samplingInputs = {};
+    for (var isotope of setting.getIsotopes()) {
+        var bodyRow = document.createElement("tr");
+        samplingInputs[isotope] = addDate(bodyRow, `${isotope} sampled `, setting.getSamplingDate(isotope));
+        tableBody.appendChild(bodyRow);
+    }
+
+    // Progeny options
+    var fieldset = document.createElement("fieldset");
+    var legend = document.createElement("legend");
+    legend.textContent = "Progeny";
+    fieldset.appendChild(legend);
+    form.appendChild(fieldset);
+
+    var progeny = setting.getProgeny();
+    var modes = {
+        "none": "Not included",
+        "equilibrium": "Secular equilibrium",
+        "ingrowth": "Ingrowth"
+    };
+    var modeSelect = document.createElement("select");
+    for (var mode of progenyModes) {
+        modeSelect.add(new Option(modes[mode], mode));
+    }
+    modeSelect.value = progeny.mode;
+    fieldset.appendChild(modeSelect);
+
+    var timeLabel = document.createElement("label");
+    timeLabel.textContent = " Ingrowth time, days ";
+    var timeInput = document.createElement("input");
+    timeInput.type = "number";
+    timeInput.min = "0";
+    timeInput.step = "any";
+    timeInput.value = progeny.time;
+    timeLabel.appendChild(timeInput);
+    fieldset.appendChild(timeLabel);
+
+    var updateTime = function() {
+        timeLabel.hidden = modeSelect.value !== "ingrowth";
+    };
+    modeSelect.addEventListener("change", updateTime);
+    updateTime();
+
+    var message = document.createElement("p");
+    form.appendChild(message);
+
+    var okButton = document.createElement("button");
+    okButton.type = "button";
+    okButton.textContent = "OK";
+    okButton.addEventListener("click", function() {
+        try {
+            setting.setProgeny(modeSelect.value, parseFloat(timeInput.value) || 0);
+            setting.setReferenceDate(referenceInput.value);
+            for (var isotope in samplingInputs) {
+                setting.setSamplingDate(isotope, samplingInputs[isotope].value);
+            }
+        }
+        catch (error) {
+            showMessage(message, error.message, true);
+            return;
+        }
+        container.remove();
+    });
+    form.appendChild(okButton);
+
+    var closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", function() {
+        container.remove();
+    });
+    form.appendChild(closeButton);
+
+    return container;
+};
@@ -0,0 +1,210 @@
+/*
+
+Batch assessment for HYDRA.
+
+Activity concentrations for many sampling sites and dates are read from CSV
+and dose rates are calculated for each site and date using current setting
+(organisms and parameters).
+
+*/
+
+// Get engine in Node (in browser scripts share globals)
+if (typeof module !== "undefined" && module.exports) {
+    var hydra = require("./hydra.js");
+    var Result = hydra.Result;
+    var activityUnits = hydra.activityUnits;
+    var convertDoseRate = hydra.convertDoseRate;
+}
+
+var Batch = function(setting) {
+    this.setting = setting;
+    this.groups = [];
+};
+
+/*
+Read activity concentrations from CSV.
+The first row is header with columns site, date, isotope, medium, value
+and optional unit (in any order). Separator is ";" or ",". Medium can be one of
+setting's media (e.g. Water or Sediment) or selected organism.
+Values are converted to Bq/kg (units of setting aren't used for file).
+Rows are grouped by site and date in order of appearance.
+Site and date can be omitted, then all rows make one group.
+*/
+Batch.prototype.parse = function(text) {
+    var lines = text.split(/\r?\n/).filter(function(line) {
+        return line.trim();
+    });
+    if (!lines.length) {
+        throw new Error("File is empty");
+    }
+    var separator = lines[0].includes(";") ? ";" : ",";
+    var header = lines[0].split(separator).map(function(name) {
+        return name.trim().toLowerCase();
+    });
+    var columns = {};
+    for (var name of ["isotope", "medium", "value"]) {
+        columns[name] = header.indexOf(name);
+        if (columns[name] === -1) {
+            throw new Error(`Column "${name}" is missing`);
+        }
+    }
+    for (var name of ["site", "date", "unit"]) {
+        columns[name] = header.indexOf(name);
+    }
+
+    var media = this.setting.media.concat(this.setting.getOrganisms());
+    var groups = {};
+    this.groups = [];
+    for (var i = 1; i < lines.length; i++) {
+        var cells = lines[i].split(separator).map(function(cell) {
+            return cell.trim();
+        });
+        var site = columns.site === -1 ? "" : cells[columns.site] || "";
+        var date = columns.date === -1 ? "" : cells[columns.date] || "";
+        var isotope = cells[columns.isotope];
+        var medium = cells[columns.medium];
+        // Decimal comma is allowed with ";" separator
+        var text = cells[columns.value] || "";
+        var value = text ? Number(separator === ";" ? text.replace(",", ".") : text) : NaN;
+
+        if (!this.setting.getAvailableIsotopes().includes(isotope)) {
+            throw new Error(`Line ${i + 1}: unknown isotope ${isotope}`);
+        }
+        if (!media.includes(medium)) {
+            throw new Error(`Line ${i + 1}: ${medium} isn't medium or selected organism`);
+        }
+        if (isNaN(value) || value < 0) {
+            throw new Error(`Line ${i + 1}: wrong activity concentration ${text}`);
+        }
+        var unit = columns.unit === -1 ? "Bq/kg" : cells[columns.unit] || "Bq/kg";
+        if (!activityUnits[unit]) {
+            throw new Error(`Line ${i + 1}: unknown unit ${unit}`);
+        }
+        value *= activityUnits[unit];
+
+        var label = [site, date].filter(Boolean).join(" / ");
+        if (!groups[label]) {
+            groups[label] = {site: site, date: date, label: label, activities: {}};
+            this.groups.push(groups[label]);
+        }
+        if (!groups[label].activities[isotope]) {
+            groups[label].activities[isotope] = {};
+        }
+        groups[label].activities[isotope][medium] = value;
+    }
+};
+
+// Calculate dose rates for each site and date
+Batch.prototype.run = function() {
+    this.results = {};
+    for (var group of this.groups) {
+        // Only activities from file are used
+        var setting = this.setting.clone();
+        for (var isotope of setting.getIsotopes()) {
+            setting.deleteIsotope(isotope);
+        }
+        setting.activityConcentrations = {};
+        setting.activityUnits = {};
+        for (var isotope in group.activities) {
+            setting.addIsotope(isotope);
+            for (var medium in group.activities[isotope]) {
+                setting.setActivityConcentration(isotope, medium, group.activities[isotope][medium]);
+            }
+        }
+
+        var result = new Result(setting);
+        result.calculate();
+        this.results[group.label] = result;
+    }
+    this.getMaxima();
+};
+
+// Find maximum organisms total dose rates for each site
+Batch.prototype.getMaxima = function() {
+    this.maxima = {};
+    for (var group of this.groups) {
+        if (!this.maxima[group.site]) {
+            this.maxima[group.site] = {};
+        }
+        var maxima = this.maxima[group.site];
+        for (var organism of this.getOrganisms()) {
+            var value = this.getDoseRate(group.label, organism);
+            if (!isNaN(value) && !(maxima[organism] >= value)) {
+                maxima[organism] = value;
+            }
+        }
+    }
+};
+
+Batch.prototype.getLabels = function() {
+    return this.groups.map(function(group) {
+        return group.label;
+    });
+};
+
+Batch.prototype.getOrganisms = function() {
+    return this.setting.getOrganisms();
+};
+
+Batch.prototype.getDoseRate = function(label, organism) {
+    return this.results[label].getOrganismTotalDoseRate(organism);
+};
+
+// Check if dose rate is the maximum one for its site
+Batch.prototype.isSiteMaximum = function(label, organism) {
+    var site = this.groups.find(function(group) {
+        return group.label === label;
+    }).site;
+    var value = this.getDoseRate(label, organism);
+    return !isNaN(value) && this.maxima[site][organism] === value;
+};
+
+Batch.prototype.getRiskQuotient = function(label, organism) {
+    return this.results[label].getOrganismRiskQuotient(organism);
+};
+
+Batch.prototype.getRiskVerdict = function(riskQuotient) {
+    return Result.prototype.getRiskVerdict(riskQuotient);
+};
+
+
+/*
+Export organisms total dose rates as CSV with ";" separator
+in chosen dose rate units (the first row is header).
+*/
+Batch.prototype.toCSV = function() {
+    var unit = this.setting.getDoseRateUnit();
+    var organisms = this.getOrganisms();
+    var lines = [["site", "date"].concat(organisms).join(";")];
+    for (var group of this.groups) {
+        var cells = [group.site, group.date];
+        for (var organism of organisms) {
+            var value = this.getDoseRate(group.label, organism);
+            cells.push(isNaN(value) ? "" : String(convertDoseRate(value, unit)));
+        }
+        lines.push(cells.join(";"));
+    }
+    lines.push("", "Units", `Dose rates;${unit}`);
+    return lines.join("\r\n");
+};
+
+// Export organisms total dose rates and risk quotients as object
+Batch.prototype.toObject = function() {
+    var unit = this.setting.getDoseRateUnit();
+    return {
+        units: {doseRate: unit},
+        results: this.groups.map(function(group) {
+            var result = this.results[group.label].toObject();
+            result.site = group.site;
+            result.date = group.date;
+            return result;
+        }, this)
+    };
+};
+
+// Export for Node
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        Batch: Batch
+    };
+}
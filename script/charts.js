@@ -0,0 +1,434 @@
+/*
+
+SVG charts for HYDRA's results.
+
+*/
+
+var svgNamespace = "http://www.w3.org/2000/svg";
+
+// Create SVG element with attributes
+var createSvgElement = function(name, attributes, parent) {
+    var element = document.createElementNS(svgNamespace, name);
+    for (var attribute in attributes) {
+        element.setAttribute(attribute, attributes[attribute]);
+    }
+    if (parent) {
+        parent.appendChild(element);
+    }
+    return element;
+};
+
+// Add text to SVG element
+var addSvgText = function(parent, text, attributes) {
+    var element = createSvgElement("text", attributes, parent);
+    element.textContent = text;
+    return element;
+};
+
+/*
+Tornado chart for sensitivity analysis
+items are objects {parameter, low, high} sorted by influence,
+base is dose rate for unchanged parameters.
+Bars show dose rates for decreased (low) and increased (high) parameter.
+*/
+var createTornadoChart = function(items, base, title) {
+    var labelWidth = 260;
+    var barsWidth = 360;
+    var rowHeight = 22;
+    var top = 40;
+    var height = top + items.length * rowHeight + 30;
+    var svg = createSvgElement("svg", {
+        "xmlns": svgNamespace,
+        "class": "chart tornado-chart",
+        "width": labelWidth + barsWidth + 20,
+        "height": height,
+        "viewBox": `0 0 ${labelWidth + barsWidth + 20} ${height}`,
+        "font-family": "Verdana, Arial, Helvetica, sans-serif",
+        "font-size": "11"
+    });
+    addSvgText(svg, title, {"x": 5, "y": 15, "font-weight": "bold"});
+
+    // Scale is symmetric around base value
+    var maxDeviation = Math.max.apply(null, items.map(function(item) {
+        return Math.max(Math.abs(item.low - base), Math.abs(item.high - base));
+    })) || 1;
+    var center = labelWidth + barsWidth / 2;
+    var scale = function(value) {
+        return center + (value - base) / maxDeviation * barsWidth / 2;
+    };
+
+    items.forEach(function(item, index) {
+        var y = top + index * rowHeight;
+        addSvgText(svg, item.parameter, {
+            "x": labelWidth - 5,
+            "y": y + rowHeight / 2 + 4,
+            "text-anchor": "end"
+        });
+        [["low", "#4a8798"], ["high", "#ce8c48"]].forEach(function(bar) {
+            var x = scale(item[bar[0]]);
+            var rect = createSvgElement("rect", {
+                "x": Math.min(x, center),
+                "y": y + 3,
+                "width": Math.abs(x - center),
+                "height": rowHeight - 6,
+                "fill": bar[1]
+            }, svg);
+            var tooltip = createSvgElement("title", {}, rect);
+            tooltip.textContent = `${bar[0]}: ${item[bar[0]].toExponential(2)}`;
+        });
+    });
+
+    // Base value line and axis labels
+    createSvgElement("line", {
+        "x1": center,
+        "x2": center,
+        "y1": top - 5,
+        "y2": top + items.length * rowHeight + 5,
+        "stroke": "#011f28"
+    }, svg);
+    var axisY = top + items.length * rowHeight + 20;
+    addSvgText(svg, (base - maxDeviation).toExponential(2), {"x": labelWidth, "y": axisY});
+    addSvgText(svg, base.toExponential(2), {"x": center, "y": axisY, "text-anchor": "middle"});
+    addSvgText(svg, (base + maxDeviation).toExponential(2), {
+        "x": labelWidth + barsWidth,
+        "y": axisY,
+        "text-anchor": "end"
+    });
+    addSvgText(svg, "decreased", {"x": labelWidth, "y": top - 10, "fill": "#4a8798"});
+    addSvgText(svg, "increased", {
+        "x": labelWidth + barsWidth,
+        "y": top - 10,
+        "text-anchor": "end",
+        "fill": "#ce8c48"
+    });
+
+    return svg;
+};
+
+// Colors for chart series (repeated if there are more series)
+var chartColors = ["#4a8798", "#ce8c48", "#7a9a3d", "#a14d6a", "#d4b93c", "#5c5f9e",
+    "#3d9a7a", "#b0573a", "#8a8a8a", "#2f5f8a"];
+
+/*
+Horizontal stacked bar chart with logarithmic scale.
+Each of categories is bar made of series, getValue(category, series) gives value
+(missing and zero values aren't drawn). line {value, label} is drawn as vertical line.
+On log scale each segment spans from previous cumulative sum to the next one.
+*/
+var createStackedChart = function(categories, series, getValue, title, line) {
+    var labelWidth = 200;
+    var barsWidth = 420;
+    var rowHeight = 22;
+    var top = 40;
+    var legendTop = top + categories.length * rowHeight + 35;
+    var legendRows = Math.ceil(series.length / 3);
+    var height = legendTop + legendRows * 18 + 5;
+    var width = labelWidth + barsWidth + 30;
+    var svg = createSvgElement("svg", {
+        "xmlns": svgNamespace,
+        "class": "chart stacked-chart",
+        "width": width,
+        "height": height,
+        "viewBox": `0 0 ${width} ${height}`,
+        "font-family": "Verdana, Arial, Helvetica, sans-serif",
+        "font-size": "11"
+    });
+    createSvgElement("rect", {"width": width, "height": height, "fill": "#fff"}, svg);
+    addSvgText(svg, title, {"x": 5, "y": 15, "font-weight": "bold"});
+
+    var bars = categories.map(function(category) {
+        var sum = 0;
+        var segments = [];
+        series.forEach(function(item, index) {
+            var value = getValue(category, item);
+            if (value > 0) {
+                segments.push({series: item, color: chartColors[index % chartColors.length],
+                    value: value, start: sum, end: sum + value});
+                sum += value;
+            }
+        });
+        return {category: category, segments: segments, total: sum};
+    });
+
+    // Scale is extended to whole decades
+    var values = [];
+    for (var bar of bars) {
+        for (var segment of bar.segments) {
+            values.push(segment.value);
+        }
+        if (bar.total > 0) {
+            values.push(bar.total);
+        }
+    }
+    if (line && line.value > 0) {
+        values.push(line.value);
+    }
+    var minPower = values.length ? Math.floor(Math.log10(Math.min.apply(null, values))) : 0;
+    var maxPower = values.length ? Math.ceil(Math.log10(Math.max.apply(null, values))) : 1;
+    if (maxPower === minPower) {
+        maxPower++;
+    }
+    var scale = function(value) {
+        var power = Math.max(Math.log10(value), minPower);
+        return labelWidth + (power - minPower) / (maxPower - minPower) * barsWidth;
+    };
+
+    var bottom = top + categories.length * rowHeight;
+    for (var power = minPower; power <= maxPower; power++) {
+        var x = scale(Math.pow(10, power));
+        createSvgElement("line", {"x1": x, "x2": x, "y1": top - 5, "y2": bottom, "stroke": "#ddd"}, svg);
+        addSvgText(svg, `1e${power}`, {"x": x, "y": bottom + 15, "text-anchor": "middle"});
+    }
+
+    bars.forEach(function(bar, index) {
+        var y = top + index * rowHeight;
+        addSvgText(svg, bar.category, {"x": labelWidth - 5, "y": y + rowHeight / 2 + 4, "text-anchor": "end"});
+        for (var segment of bar.segments) {
+            var start = segment.start > 0 ? scale(segment.start) : labelWidth;
+            var rect = createSvgElement("rect", {
+                "x": start,
+                "y": y + 3,
+                "width": Math.max(scale(segment.end) - start, 0),
+                "height": rowHeight - 6,
+                "fill": segment.color
+            }, svg);
+            var tooltip = createSvgElement("title", {}, rect);
+            tooltip.textContent = `${bar.category}, ${segment.series}: ${segment.value.toExponential(2)}`;
+        }
+        if (!bar.segments.length) {
+            addSvgText(svg, "No data", {"x": labelWidth + 5, "y": y + rowHeight / 2 + 4, "fill": "#666"});
+        }
+    });
+
+    if (line && line.value > 0) {
+        var lineX = scale(line.value);
+        createSvgElement("line", {
+            "x1": lineX,
+            "x2": lineX,
+            "y1": top - 10,
+            "y2": bottom + 2,
+            "stroke": "#c0392b",
+            "stroke-width": 2,
+            "stroke-dasharray": "6 3"
+        }, svg);
+        addSvgText(svg, line.label, {
+            "x": lineX,
+            "y": top - 14,
+            "text-anchor": lineX > labelWidth + barsWidth / 2 ? "end" : "start",
+            "fill": "#c0392b"
+        });
+    }
+
+    series.forEach(function(item, index) {
+        var x = 5 + (index % 3) * (width / 3);
+        var y = legendTop + Math.floor(index / 3) * 18;
+        createSvgElement("rect", {
+            "x": x,
+            "y": y - 10,
+            "width": 12,
+            "height": 12,
+            "fill": chartColors[index % chartColors.length]
+        }, svg);
+        addSvgText(svg, item, {"x": x + 17, "y": y});
+    });
+
+    return svg;
+};
+
+/*
+Chart of organisms total dose rates split by isotopes (in result's units)
+with screening dose rate divided by uncertainty factor (risk quotient 1) as line.
+*/
+var createOrganismsChart = function(result) {
+    var unit = result.getDoseRateUnit();
+    var screening = result.screeningDoseRate / result.uncertaintyFactor;
+    var label = result.uncertaintyFactor === 1 ? "Screening dose rate" : "Screening dose rate / UF";
+    return createStackedChart(
+        result.getOrganisms(),
+        result.getIsotopes(),
+        function(organism, isotope) {
+            return convertDoseRate(result.getTotalDoseRate(isotope, organism), unit);
+        },
+        `Organisms total dose rates by isotopes, ${unit}`,
+        {value: convertDoseRate(screening, unit), label: `${label} ${convertDoseRate(screening, unit).toPrecision(3)}`}
+    );
+};
+
+// Chart of isotopes dose rates for organism split by internal and external pathways
+var createIsotopesChart = function(result, organism) {
+    var unit = result.getDoseRateUnit();
+    return createStackedChart(
+        result.getIsotopes(),
+        ["Internal", "External"],
+        function(isotope, view) {
+            return convertDoseRate(result.getBreakdownDoseRate(view, isotope, organism), unit);
+        },
+        `${organism}, dose rates by isotopes and pathways, ${unit}`
+    );
+};
+
+/*
+Line chart of values over time with logarithmic scale of values.
+series is list of {name, values} (values at times, missing and zero values break lines),
+line {value, label} is drawn as horizontal line.
+*/
+var createLineChart = function(times, series, title, line) {
+    var left = 70;
+    var plotWidth = 520;
+    var plotHeight = 240;
+    var top = 40;
+    var bottom = top + plotHeight;
+    var legendTop = bottom + 45;
+    var legendRows = Math.ceil(series.length / 3);
+    var height = legendTop + legendRows * 18 + 5;
+    var width = left + plotWidth + 30;
+    var svg = createSvgElement("svg", {
+        "xmlns": svgNamespace,
+        "class": "chart line-chart",
+        "width": width,
+        "height": height,
+        "viewBox": `0 0 ${width} ${height}`,
+        "font-family": "Verdana, Arial, Helvetica, sans-serif",
+        "font-size": "11"
+    });
+    createSvgElement("rect", {"width": width, "height": height, "fill": "#fff"}, svg);
+    addSvgText(svg, title, {"x": 5, "y": 15, "font-weight": "bold"});
+
+    // Scale is extended to whole decades
+    var values = [];
+    for (var item of series) {
+        for (var value of item.values) {
+            if (value > 0) {
+                values.push(value);
+            }
+        }
+    }
+    if (line && line.value > 0) {
+        values.push(line.value);
+    }
+    var minPower = values.length ? Math.floor(Math.log10(Math.min.apply(null, values))) : 0;
+    var maxPower = values.length ? Math.ceil(Math.log10(Math.max.apply(null, values))) : 1;
+    if (maxPower === minPower) {
+        maxPower++;
+    }
+    var start = times[0];
+    var end = times[times.length - 1];
+    var scaleX = function(time) {
+        return left + (end > start ? (time - start) / (end - start) : 0) * plotWidth;
+    };
+    var scaleY = function(value) {
+        return bottom - (Math.log10(value) - minPower) / (maxPower - minPower) * plotHeight;
+    };
+
+    for (var power = minPower; power <= maxPower; power++) {
+        var y = scaleY(Math.pow(10, power));
+        createSvgElement("line", {"x1": left, "x2": left + plotWidth, "y1": y, "y2": y, "stroke": "#ddd"}, svg);
+        addSvgText(svg, `1e${power}`, {"x": left - 5, "y": y + 4, "text-anchor": "end"});
+    }
+    for (var i = 0; i <= 4; i++) {
+        var time = start + (end - start) * i / 4;
+        var x = scaleX(time);
+        createSvgElement("line", {"x1": x, "x2": x, "y1": top, "y2": bottom, "stroke": "#ddd"}, svg);
+        addSvgText(svg, String(Number(time.toPrecision(3))), {"x": x, "y": bottom + 15, "text-anchor": "middle"});
+    }
+    addSvgText(svg, "Time, days", {"x": left + plotWidth / 2, "y": bottom + 30, "text-anchor": "middle"});
+
+    series.forEach(function(item, index) {
+        var color = chartColors[index % chartColors.length];
+        var path = "";
+        var move = true;
+        item.values.forEach(function(value, step) {
+            if (!(value > 0)) {
+                move = true;
+                return;
+            }
+            path += `${move ? "M" : "L"}${scaleX(times[step]).toFixed(1)},${scaleY(value).toFixed(1)} `;
+            move = false;
+        });
+        if (path) {
+            var polyline = createSvgElement("path", {
+                "d": path.trim(),
+                "fill": "none",
+                "stroke": color,
+                "stroke-width": 2
+            }, svg);
+            var tooltip = createSvgElement("title", {}, polyline);
+            tooltip.textContent = item.name;
+        }
+        var legendX = 5 + (index % 3) * (width / 3);
+        var legendY = legendTop + Math.floor(index / 3) * 18;
+        createSvgElement("rect", {
+            "x": legendX,
+            "y": legendY - 10,
+            "width": 12,
+            "height": 12,
+            "fill": color
+        }, svg);
+        addSvgText(svg, item.name, {"x": legendX + 17, "y": legendY});
+    });
+
+    if (line && line.value > 0) {
+        var lineY = scaleY(line.value);
+        createSvgElement("line", {
+            "x1": left,
+            "x2": left + plotWidth,
+            "y1": lineY,
+            "y2": lineY,
+            "stroke": "#c0392b",
+            "stroke-width": 2,
+            "stroke-dasharray": "6 3"
+        }, svg);
+        addSvgText(svg, line.label, {"x": left + plotWidth, "y": lineY - 4, "text-anchor": "end", "fill": "#c0392b"});
+    }
+
+    return svg;
+};
+
+/*
+Chart of organisms total dose rates over assessment period (in chosen units)
+with screening dose rate divided by uncertainty factor (risk quotient 1) as line.
+*/
+var createTimeSeriesChart = function(timeSeries, unit) {
+    var setting = timeSeries.setting;
+    var screening = setting.screeningDoseRate / setting.uncertaintyFactor;
+    var label = setting.uncertaintyFactor === 1 ? "Screening dose rate" : "Screening dose rate / UF";
+    return createLineChart(
+        timeSeries.getTimes(),
+        timeSeries.getOrganisms().map(function(organism) {
+            return {
+                name: organism,
+                values: timeSeries.getDoseRates(organism).map(function(value) {
+                    return convertDoseRate(value, unit);
+                })
+            };
+        }),
+        `Organisms total dose rates over time, ${unit}`,
+        {value: convertDoseRate(screening, unit), label: `${label} ${convertDoseRate(screening, unit).toPrecision(3)}`}
+    );
+};
+
+// Get SVG chart as standalone SVG file content
+var getSvgText = function(svg) {
+    return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" + new XMLSerializer().serializeToString(svg);
+};
+
+/*
+Render SVG chart into PNG (scaled for print), callback is called with PNG blob
+or with null if image can't be rendered.
+*/
+var renderChartPng = function(svg, callback, scale=2) {
+    var image = new Image();
+    image.onload = function() {
+        var canvas = document.createElement("canvas");
+        canvas.width = svg.width.baseVal.value * scale;
+        canvas.height = svg.height.baseVal.value * scale;
+        var context = canvas.getContext("2d");
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0);
+        canvas.toBlob(callback, "image/png");
+    };
+    image.onerror = function() {
+        callback(null);
+    };
+    image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(getSvgText(svg));
+};
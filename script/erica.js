@@ -5,68 +5,243 @@ Parse ERICA Assessment Tool data
 */
 
 var erica = {};
-var isEricaReady = false;
-
-initSqlJs({ locateFile: filename => `./script/sql.js/${filename}` }).then(SQL => {
-
-    // Get data from database
-    var request = new XMLHttpRequest();
-    request.open("GET", "data/erica.db");
-    request.responseType = "arraybuffer";
-    request.onload = function() {
-        var dataArray = new Uint8Array(this.response);
-        var db = new SQL.Database(dataArray);
-
-        //Get organisms and isotopes
-        erica.organisms = [];
-        db.each("SELECT name FROM organisms;", function(row) {
-            erica.organisms.push(row.name);
-        });
 
-        erica.isotopes = [];
-        db.each("SELECT name FROM isotopes;", function(row) {
-            erica.isotopes.push(row.name);
-        });
+// Ecosystem specific tables are prefixed with ecosystem name
+// (freshwater tables have no prefix)
+var ericaTablePrefixes = {
+    "freshwater": "",
+    "marine": "marine_",
+    "terrestrial": "terrestrial_"
+};
+
+// Check if table exists (terrestrial ecosystem has no Kd table)
+var hasTable = function(db, name) {
+    var stmt = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name=?;", [name]);
+    var exists = stmt.step();
+    stmt.free();
+    return exists;
+};
+
+// Get organisms, DCCs, Kd, CR and occupancy factors for ecosystem
+var readEcosystem = function(db, prefix) {
+    var data = {};
 
-        // Get DCCs
-        erica.dcc = {};
-        db.each("SELECT * FROM dcc;", function(row) {
-            if (!erica.dcc[row.isotope]) {
-                erica.dcc[row.isotope] = {};
+    // Get organisms
+    data.organisms = [];
+    db.each(`SELECT name FROM ${prefix}organisms;`, function(row) {
+        data.organisms.push(row.name);
+    });
+
+    // Get DCCs
+    data.dcc = {};
+    db.each(`SELECT * FROM ${prefix}dcc;`, function(row) {
+        if (!data.dcc[row.isotope]) {
+            data.dcc[row.isotope] = {};
+        }
+        data.dcc[row.isotope][row.organism] = [
+            row.int_alpha,
+            row.int_beta_gamma,
+            row.int_low_beta,
+            0, // external alpha not used by ERICA
+            row.ext_beta_gamma,
+            row.ext_low_beta
+        ];
+    });
+
+    /*
+    Get external DCCs for habitats where organism has other geometry than in medium
+    (terrestrial organisms on soil and above soil), they are in the same order
+    as external part of DCCs above.
+    */
+    data.habitatDcc = {};
+    if (hasTable(db, `${prefix}habitat_dcc`)) {
+        db.each(`SELECT * FROM ${prefix}habitat_dcc;`, function(row) {
+            if (!data.habitatDcc[row.habitat]) {
+                data.habitatDcc[row.habitat] = {};
             }
-            erica.dcc[row.isotope][row.organism] = [
-                row.int_alpha,
-                row.int_beta_gamma,
-                row.int_low_beta,
+            if (!data.habitatDcc[row.habitat][row.isotope]) {
+                data.habitatDcc[row.habitat][row.isotope] = {};
+            }
+            data.habitatDcc[row.habitat][row.isotope][row.organism] = [
                 0, // external alpha not used by ERICA
                 row.ext_beta_gamma,
                 row.ext_low_beta
             ];
         });
+    }
 
-        // Get radioecology parameters, Kd and CR
-        erica.kd = {};
-        db.each("SELECT * FROM kd;", function(row) {
-            erica.kd[row.nuclide] = row.value;
+    // Get radioecology parameters, Kd and CR
+    data.kd = {};
+    if (hasTable(db, `${prefix}kd`)) {
+        db.each(`SELECT * FROM ${prefix}kd;`, function(row) {
+            data.kd[row.nuclide] = row.value;
         });
+    }
 
-        erica.cr = {};
-        db.each("SELECT * FROM cr;", function(row) {
-            if (!erica.cr[row.nuclide]) {
-                erica.cr[row.nuclide] = {};
-            }
-            erica.cr[row.nuclide][row.organism] = row.value;
+    data.cr = {};
+    db.each(`SELECT * FROM ${prefix}cr;`, function(row) {
+        if (!data.cr[row.nuclide]) {
+            data.cr[row.nuclide] = {};
+        }
+        data.cr[row.nuclide][row.organism] = row.value;
+    });
+
+    // Get occupancy factors
+    data.occ = {};
+    db.each(`SELECT * FROM ${prefix}occ;`, function(row) {
+        if (!data.occ[row.organism]) {
+            data.occ[row.organism] = {};
+        }
+        data.occ[row.organism][row.habitat] = row.value;
+    });
+
+    // Get geometries of organisms (mass in kg and ellipsoid axes in m) for custom organisms
+    data.geometry = {};
+    if (hasTable(db, `${prefix}geometry`)) {
+        db.each(`SELECT * FROM ${prefix}geometry;`, function(row) {
+            data.geometry[row.organism] = {mass: row.mass, dimensions: [row.length, row.width, row.height]};
+        });
+    }
+
+    // Get ICRP Reference Animals and Plants nearest to organisms (see dcrl table)
+    data.rap = {};
+    if (hasTable(db, `${prefix}rap`)) {
+        db.each(`SELECT * FROM ${prefix}rap;`, function(row) {
+            data.rap[row.organism] = row.rap;
         });
+    }
+
+    return data;
+};
+
+/*
+Read ERICA's dataset from sql.js database:
+{
+    isotopes: [...],
+    decay: {isotope: half-life in days},
+    progeny: {parent: [{daughter, branching}]},
+    dcrl: {rap: [min, max] in mGy/d},
+    freshwater: {organisms, dcc, habitatDcc, kd, cr, occ, geometry, rap},
+    marine: {...},
+    terrestrial: {...}
+}
+*/
+var readDatabase = function(db) {
+    var dataset = {};
 
-        // Get occupancy factors
-        erica.occ = {};
-        db.each("SELECT * FROM occ;", function(row) {
-            if (!erica.occ[row.organism]) {
-                erica.occ[row.organism] = {};
+    // Get isotopes (common for all ecosystems)
+    dataset.isotopes = [];
+    db.each("SELECT name FROM isotopes;", function(row) {
+        dataset.isotopes.push(row.name);
+    });
+
+    // Get half-lives (in days) and decay progeny (common for all ecosystems)
+    // Decay table includes intermediate progeny which aren't ERICA isotopes
+    dataset.decay = {};
+    db.each("SELECT * FROM decay;", function(row) {
+        dataset.decay[row.isotope] = row.half_life;
+    });
+    dataset.progeny = {};
+    db.each("SELECT * FROM progeny;", function(row) {
+        if (!dataset.progeny[row.parent]) {
+            dataset.progeny[row.parent] = [];
+        }
+        dataset.progeny[row.parent].push({daughter: row.daughter, branching: row.branching});
+    });
+
+    // Get ICRP Derived Consideration Reference Levels (bands in mGy/d) of Reference Animals and Plants
+    dataset.dcrl = {};
+    if (hasTable(db, "dcrl")) {
+        db.each("SELECT * FROM dcrl;", function(row) {
+            dataset.dcrl[row.rap] = [row.min, row.max];
+        });
+    }
+
+    // Get ecosystem specific data
+    for (var ecosystem in ericaTablePrefixes) {
+        dataset[ecosystem] = readEcosystem(db, ericaTablePrefixes[ecosystem]);
+    }
+    return dataset;
+};
+
+/*
+Loading of ERICA's data in browser
+ericaEvents dispatches events:
+    "progress" with detail {stage: "sql.js" or "database", loaded, total} (bytes if known),
+    "load" when erica is filled,
+    "error" with error as detail.
+*/
+var ericaEvents = new EventTarget();
+var ericaPromise;
+
+var dispatchEricaEvent = function(type, detail) {
+    ericaEvents.dispatchEvent(new CustomEvent(type, {detail: detail}));
+};
+
+// Get file as array buffer with progress events
+var requestDatabase = function(url) {
+    return new Promise(function(resolve, reject) {
+        var request = new XMLHttpRequest();
+        request.open("GET", url);
+        request.responseType = "arraybuffer";
+        request.onprogress = function(event) {
+            dispatchEricaEvent("progress", {
+                stage: "database",
+                loaded: event.loaded,
+                total: event.lengthComputable ? event.total : undefined
+            });
+        };
+        request.onload = function() {
+            // Local files are loaded with status 0
+            if (this.status !== 200 && this.status !== 0) {
+                reject(new Error(`${url} isn't loaded (${this.status} ${this.statusText})`));
+                return;
             }
-            erica.occ[row.organism][row.habitat] = row.value;
+            resolve(this.response);
+        };
+        request.onerror = function() {
+            reject(new Error(`${url} isn't loaded (network error)`));
+        };
+        request.send();
+    });
+};
+
+/*
+Load sql.js and ERICA's database, return promise resolved with filled erica.
+The same promise is returned while loading or after success,
+after failure loading is started again.
+*/
+var loadErica = function() {
+    if (ericaPromise) {
+        return ericaPromise;
+    }
+    dispatchEricaEvent("progress", {stage: "sql.js"});
+    ericaPromise = initSqlJs({ locateFile: filename => `./script/sql.js/${filename}` }).then(function(SQL) {
+        return requestDatabase("data/erica.db").then(function(buffer) {
+            var db = new SQL.Database(new Uint8Array(buffer));
+            try {
+                Object.assign(erica, readDatabase(db));
+            }
+            finally {
+                db.close();
+            }
+            dispatchEricaEvent("load");
+            return erica;
         });
-        isEricaReady = true;
+    }).catch(function(error) {
+        // sql.js keeps its failed loading, so it's reset for retry
+        initSqlJsPromise = undefined;
+        ericaPromise = undefined;
+        dispatchEricaEvent("error", error);
+        throw error;
+    });
+    return ericaPromise;
+};
+
+// Export for Node, which reads database with loader.js
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        ericaTablePrefixes: ericaTablePrefixes,
+        readDatabase: readDatabase
     };
-    request.send();
-});
+}
@@ -7,24 +7,225 @@ ERICA version 1.3.1.33
 
 */
 
-// Setting
-var Setting = function() {
+// Versions of HYDRA and of ERICA Tool which data files are used
+var hydraVersion = "1.0.0";
+var ericaVersion = "1.3.1.33";
+
+/*
+Ecosystems with their media and habitats.
+The first medium is reference one: organisms activity concentrations
+are calculated from it using concentration ratios.
+Habitat values are fractions of external dose rates from each media.
+Habitats listed in habitatDcc have their own external DCCs (habitat_dcc table),
+in other habitats organism is exposed with DCCs for geometry in medium (dcc table).
+*/
+
+/*
+ERICA's freshwater and marine geometries have the same occupancy locations
+(habitats of occ and marine_occ tables). Organism on the boundary of medium
+is exposed from half of the space, so surface habitats get half of dose rate.
+*/
+var aquaticHabitats = {
+    "Water-surface": [0.5, 0.0],
+    "Water": [1.0, 0.0],
+    "Sediment-surface": [0.5, 0.5],
+    "Sediment": [0.0, 1.0]
+};
+
+var ecosystems = {
+    "freshwater": {
+        media: ["Water", "Sediment"],
+        habitats: aquaticHabitats
+    },
+    "marine": {
+        media: ["Water", "Sediment"],
+        habitats: aquaticHabitats
+    },
+    // ERICA gives external DCCs of terrestrial organisms for each geometry in and on soil
+    "terrestrial": {
+        media: ["Soil"],
+        habitats: {
+            "In-soil": [1.0],
+            "On-soil": [1.0],
+            "Above-soil": [1.0]
+        },
+        habitatDcc: ["On-soil", "Above-soil"]
+    }
+};
+
+/*
+Units
+Activity concentrations are converted to Bq/kg (fresh weight for organisms,
+dry weight for sediment and soil) before calculations, volume units assume
+density of 1 kg/L. Dose rates are calculated in \u00b5Gy/h and can be shown in other units.
+Values are factors converting to internal units (activity) or from them (dose rate).
+*/
+var activityUnits = {
+    "Bq/kg": 1,
+    "kBq/kg": 1e3,
+    "mBq/kg": 1e-3,
+    "Bq/g": 1e3,
+    "pCi/g": 37,
+    "Bq/L": 1,
+    "mBq/L": 1e-3,
+    "Bq/m\u00b3": 1e-3,
+    "pCi/L": 0.037
+};
+
+var doseRateUnits = {
+    "\u00b5Gy/h": 1,
+    "mGy/h": 1e-3,
+    "\u00b5Gy/d": 24,
+    "mGy/d": 0.024,
+    "\u00b5Gy/y": 8766,
+    "mGy/y": 8.766
+};
+
+// Convert dose rate from \u00b5Gy/h
+var convertDoseRate = function(value, unit) {
+    return value * doseRateUnits[unit];
+};
+
+
+/*
+Validation rules for parameters used by setters and input forms.
+Missing values (NaN from empty input, null or undefined) are allowed
+for parameters which have ERICA's defaults, others are required.
+*/
+var parameterRules = {
+    "activity": {min: 0},
+    "occupancy": {min: 0, max: 1},
+    "cr": {min: 0},
+    "kd": {min: 0},
+    "dcc": {min: 0, required: true},
+    "mass": {positive: true, required: true},
+    "size": {positive: true, required: true},
+    "wf": {min: 0, required: true},
+    "dry": {min: 0, max: 100, required: true},
+    "risk": {positive: true, required: true}
+};
+
+// Occupancy factors of organism must sum to 1 at most (rounding is tolerated)
+var maxOccupancySum = 1 + 1e-9;
+
+var isMissing = function(value) {
+    return value === undefined || value === null || Number.isNaN(value);
+};
+
+// Get error for value breaking rule (empty string for valid value)
+var getValueError = function(rule, value) {
+    var limits = parameterRules[rule];
+    if (isMissing(value)) {
+        return limits.required ? "is required" : "";
+    }
+    if (typeof value !== "number" || !isFinite(value)) {
+        return "must be a number";
+    }
+    if (limits.positive && value <= 0) {
+        return "must be positive";
+    }
+    if (limits.max !== undefined && (value < limits.min || value > limits.max)) {
+        return `must be from ${limits.min} to ${limits.max}`;
+    }
+    if (value < limits.min) {
+        return "must not be negative";
+    }
+    return "";
+};
+
+// Throw error for wrong value, name describes parameter in message
+var checkValue = function(rule, value, name) {
+    var error = getValueError(rule, value);
+    if (error) {
+        throw new Error(`${name} ${error} (got ${value})`);
+    }
+};
+
+// Throw error for date which isn't valid "YYYY-MM-DD" string, name describes date in message
+var checkDate = function(date, name) {
+    var time = /^\d{4}-\d{2}-\d{2}$/.test(date) ? Date.parse(date) : NaN;
+    // Days beyond end of month (e.g. 2024-02-30) are parsed as next month's days
+    if (isNaN(time) || new Date(time).toISOString().slice(0, 10) !== date) {
+        throw new Error(`${name} must be date YYYY-MM-DD (got ${date})`);
+    }
+};
+
+// Sum of occupancy factors which are set
+var getOccupancySum = function(factors) {
+    var sum = 0;
+    for (var habitat in factors) {
+        if (!isMissing(factors[habitat])) {
+            sum += factors[habitat];
+        }
+    }
+    return sum;
+};
+
+
+/*
+Get default ERICA's dataset (see erica.js for its structure).
+In browser it's global erica filled by erica.js, in Node dataset must be passed
+to Setting explicitly (see loader.js).
+*/
+var getDefaultDataset = function() {
+    return typeof erica === "undefined" ? undefined : erica;
+};
+
+/*
+Get names of ERICA's data which are missing in dataset for ecosystem.
+Dose rates need DCCs (with DCCs of habitats which have their own geometry),
+CRs and Kds (for ecosystems with sediment), ecosystems without them aren't offered.
+*/
+var getMissingData = function(dataset, ecosystem) {
+    var data = dataset[ecosystem] || {};
+    var isEmpty = function(table) {
+        return !table || !Object.keys(table).length;
+    };
+    var tables = ecosystems[ecosystem].media.includes("Sediment") ? ["dcc", "cr", "kd"] : ["dcc", "cr"];
+    var missing = tables.filter(function(table) {
+        return isEmpty(data[table]);
+    }).map(function(table) {
+        return parameterNames[table];
+    });
+    for (var habitat of ecosystems[ecosystem].habitatDcc || []) {
+        if (isEmpty((data.habitatDcc || {})[habitat])) {
+            missing.push(`${habitat} DCC`);
+        }
+    }
+    return missing;
+};
+
+
+// Setting uses ERICA's dataset for default parameters
+var Setting = function(dataset=getDefaultDataset()) {
+    if (!dataset) {
+        throw new Error("ERICA dataset isn't set");
+    }
+    this.dataset = dataset;
     this.isotopes = new Set();
     this.organisms = new Set();
     this.distributionCoefficients = {};
     this.concentrationRatios = {};
-    this.media = ["Water", "Sediment"];
-    this.habitats = {
-            "Water-surface": [0.5, 0.0],
-            "Water": [1.0, 0.0],
-            "Sediment-surface": [0.5, 0.5],
-            "Sediment": [0.0, 1.0]
-        };
+    this.ecosystem = "freshwater";
+    this.media = ecosystems[this.ecosystem].media.slice();
+    this.habitats = JSON.parse(JSON.stringify(ecosystems[this.ecosystem].habitats));
     this.occupancyFactors = {};
     this.radiationWeightingFactors = [10.0, 1.0, 3.0];
     this.activityConcentrations = {};
     this.percentageDryWeight = 100;
     this.doseConversionCoefficients = {};
+    this.screeningDoseRate = 10.0;
+    this.uncertaintyFactor = 1.0;
+    this.distributions = {};
+    this.referenceDate = "";
+    this.samplingDates = {};
+    this.progeny = {mode: "none", time: 0};
+    this.activityUnits = {};
+    this.doseRateUnit = "\u00b5Gy/h";
+    this.referenceOrganisms = {};
+    this.customIsotopes = [];
+    this.customOrganisms = {};
+    this.timeSeries = {};
 };
 
 // Isotopes adder
@@ -45,7 +246,57 @@ Setting.prototype.deleteIsotope = function(isotope, all=false) {
         delete this.concentrationRatios[isotope];
         delete this.distributionCoefficients[isotope];
         delete this.doseConversionCoefficients[isotope];
+        delete this.samplingDates[isotope];
+        delete this.timeSeries[isotope];
+    }
+};
+
+/*
+Custom radionuclides
+Isotopes which aren't in ERICA's list can be added by name ("Element-mass", e.g. "Xx-123").
+They have no ERICA's DCCs, so DCCs must be entered for organisms
+(see setDoseConversionCoefficients), Kd and CRs of element are ERICA's ones if they exist.
+Custom radionuclides aren't decay-corrected and have no progeny.
+*/
+var getCustomIsotopeError = function(isotope, dataset) {
+    if (!/^[A-Z][a-z]?-\d+m?$/.test(isotope)) {
+        return `Radionuclide name ${isotope} must be element and mass number (e.g. Xx-123 or Xx-123m)`;
     }
+    if (dataset.isotopes.includes(isotope)) {
+        return `${isotope} is ERICA's radionuclide`;
+    }
+    return undefined;
+};
+
+// Custom radionuclide is added to available isotopes, but isn't selected
+Setting.prototype.addCustomIsotope = function(isotope) {
+    var error = getCustomIsotopeError(isotope, this.dataset);
+    if (error) {
+        throw new Error(error);
+    }
+    if (!this.customIsotopes.includes(isotope)) {
+        this.customIsotopes.push(isotope);
+    }
+};
+
+Setting.prototype.deleteCustomIsotope = function(isotope) {
+    this.customIsotopes = this.customIsotopes.filter(function(item) {
+        return item !== isotope;
+    });
+    this.deleteIsotope(isotope, true);
+};
+
+Setting.prototype.getCustomIsotopes = function() {
+    return this.customIsotopes.slice();
+};
+
+Setting.prototype.isCustomIsotope = function(isotope) {
+    return this.customIsotopes.includes(isotope);
+};
+
+// Get ERICA's and custom isotopes which can be selected
+Setting.prototype.getAvailableIsotopes = function() {
+    return this.dataset.isotopes.concat(this.customIsotopes);
 };
 
 // Get nuclides list
@@ -71,12 +322,15 @@ Setting.prototype.deleteOrganism = function(organism, all=false) {
     this.organisms.delete(organism);
     if (all) {
         delete this.occupancyFactors[organism];
-        for (isotope of this.isotopes) {
+        delete this.activityUnits[organism];
+        delete this.referenceOrganisms[organism];
+        for (var isotope of this.isotopes) {
             if (this.activityConcentrations[isotope]) {
                 delete this.activityConcentrations[isotope][organism];
             }
-            if (this.concentrationRatios[isotope]) {
-                delete this.activityConcentrations[isotope][organism];
+            var nuclide = isotope.split("-")[0];
+            if (this.concentrationRatios[nuclide]) {
+                delete this.concentrationRatios[nuclide][organism];
             }
             if (this.doseConversionCoefficients[isotope]) {
                 delete this.doseConversionCoefficients[isotope][organism];
@@ -85,9 +339,164 @@ Setting.prototype.deleteOrganism = function(organism, all=false) {
     }
 };
 
+/*
+Custom organisms
+Organism which isn't in ERICA's list is defined by mass (kg), ellipsoid dimensions
+(length, width and height in m), occupancy profile ({habitat: factor}) and surrogate
+ERICA's organism of the same ecosystem. CRs of surrogate are used for custom organism,
+DCCs are interpolated from reference organisms of similar size and shape
+(see estimateDoseConversionCoefficients).
+*/
+var getCustomOrganismErrors = function(name, definition, ecosystem, dataset) {
+    var errors = [];
+    var data = dataset[ecosystem];
+    if (!name || name !== name.trim()) {
+        errors.push("Organism name must be non-empty without leading or trailing spaces");
+    }
+    else if (/[._]/.test(name)) {
+        // Names are parts of input names in forms (see readInput)
+        errors.push(`Organism name ${name} mustn't contain dots or underscores`);
+    }
+    else if (data.organisms.includes(name) || ecosystems[ecosystem].media.includes(name)) {
+        errors.push(`${name} is ERICA's organism or medium`);
+    }
+    var mass = getValueError("mass", definition.mass);
+    if (mass) {
+        errors.push(`Mass of ${name} ${mass}`);
+    }
+    var dimensions = definition.dimensions;
+    if (!Array.isArray(dimensions) || dimensions.length !== 3) {
+        errors.push(`Dimensions of ${name} must be length, width and height`);
+    }
+    else {
+        ["Length", "Width", "Height"].forEach(function(dimension, index) {
+            var error = getValueError("size", dimensions[index]);
+            if (error) {
+                errors.push(`${dimension} of ${name} ${error}`);
+            }
+        });
+    }
+    if (!data.organisms.includes(definition.surrogate)) {
+        errors.push(`Surrogate of ${name} must be ERICA's organism of ${ecosystem} ecosystem`);
+    }
+    var occupancy = definition.occupancy || {};
+    for (var habitat in occupancy) {
+        if (!ecosystems[ecosystem].habitats[habitat]) {
+            errors.push(`Unknown habitat ${habitat}`);
+        }
+        var error = getValueError("occupancy", occupancy[habitat]);
+        if (error) {
+            errors.push(`Occupancy factor of ${name} in ${habitat} ${error}`);
+        }
+    }
+    if (!(getOccupancySum(occupancy) > 0)) {
+        errors.push(`Occupancy factors of ${name} must be set`);
+    }
+    else if (getOccupancySum(occupancy) > maxOccupancySum) {
+        errors.push(`Occupancy factors of ${name} sum to more than 1`);
+    }
+    return errors;
+};
+
+// Add or replace custom organism, it's added to available organisms, but isn't selected
+Setting.prototype.addCustomOrganism = function(name, definition) {
+    var errors = getCustomOrganismErrors(name, definition, this.ecosystem, this.dataset);
+    if (errors.length) {
+        throw new Error(errors.join(". "));
+    }
+    this.customOrganisms[name] = {
+        mass: definition.mass,
+        dimensions: definition.dimensions.slice(),
+        occupancy: Object.assign({}, definition.occupancy),
+        surrogate: definition.surrogate
+    };
+};
+
+Setting.prototype.deleteCustomOrganism = function(name) {
+    delete this.customOrganisms[name];
+    this.deleteOrganism(name, true);
+};
+
+Setting.prototype.getCustomOrganisms = function() {
+    return Object.keys(this.customOrganisms);
+};
+
+Setting.prototype.getCustomOrganism = function(name) {
+    return this.customOrganisms[name];
+};
+
+Setting.prototype.isCustomOrganism = function(organism) {
+    return Boolean(this.customOrganisms[organism]);
+};
+
+// Get ERICA's organism whose data are used for organism (itself for ERICA's organisms)
+Setting.prototype.getSurrogateOrganism = function(organism) {
+    return this.customOrganisms[organism] ? this.customOrganisms[organism].surrogate : organism;
+};
+
+// Get ERICA's and custom organisms of ecosystem which can be selected
+Setting.prototype.getAvailableOrganisms = function() {
+    return this.dataset[this.ecosystem].organisms.concat(this.getCustomOrganisms());
+};
+
+/*
+Set ecosystem ("freshwater", "marine" or "terrestrial")
+Organisms lists and radioecology parameters are different for ecosystems,
+so organisms (including custom ones) and all related data are removed.
+Activity concentrations and time series in media are kept.
+Ecosystems without ERICA's DCCs, CRs or Kds in dataset aren't available.
+*/
+Setting.prototype.setEcosystem = function(ecosystem) {
+    if (!ecosystems[ecosystem]) {
+        throw new Error(`Unknown ecosystem ${ecosystem}`);
+    }
+    var missing = getMissingData(this.dataset, ecosystem);
+    if (missing.length) {
+        throw new Error(`Ecosystem ${ecosystem} isn't available, ERICA's ${missing.join(", ")} data for it aren't in database`);
+    }
+    this.ecosystem = ecosystem;
+    this.media = ecosystems[ecosystem].media.slice();
+    this.habitats = JSON.parse(JSON.stringify(ecosystems[ecosystem].habitats));
+    for (var organism of this.getOrganisms()) {
+        this.deleteOrganism(organism, true);
+    }
+    this.customOrganisms = {};
+    this.distributionCoefficients = {};
+    this.concentrationRatios = {};
+    for (var isotope in this.activityConcentrations) {
+        for (var object in this.activityConcentrations[isotope]) {
+            if (!this.media.includes(object)) {
+                delete this.activityConcentrations[isotope][object];
+            }
+        }
+    }
+    for (var isotope in this.timeSeries) {
+        for (var object in this.timeSeries[isotope]) {
+            if (!this.media.includes(object)) {
+                delete this.timeSeries[isotope][object];
+            }
+        }
+        if (!Object.keys(this.timeSeries[isotope]).length) {
+            delete this.timeSeries[isotope];
+        }
+    }
+};
+
+Setting.prototype.getEcosystem = function() {
+    return this.ecosystem;
+};
+
+// Get ecosystems which have ERICA's data for calculations in dataset
+Setting.prototype.getEcosystems = function() {
+    return Object.keys(ecosystems).filter(function(ecosystem) {
+        return !getMissingData(this.dataset, ecosystem).length;
+    }, this);
+};
+
 // Set and get radioecology parameters
 // text added for uniformity with other getters/setters
 Setting.prototype.setDistributionCoefficient = function(nuclide, text, value) {
+    checkValue("kd", value, `Kd of ${nuclide}`);
     this.distributionCoefficients[nuclide] = value;
 };
 
@@ -96,6 +505,7 @@ Setting.prototype.getDistributionCoefficient = function(nuclide, text) {
 };
 
 Setting.prototype.setConcentrationRatio = function(nuclide, object, value) {
+    checkValue("cr", value, `CR of ${nuclide} for ${object}`);
     if (!this.concentrationRatios[nuclide]) {
         this.concentrationRatios[nuclide] = {};
     }
@@ -113,14 +523,26 @@ Setting.prototype.getConcentrationRatio = function(nuclide, object) {
 
 /*
 Set and get occupancy factors
-value must be a float in [0, 1].
-Habitats: Water-surface, Water, Sediment-surface, Sediment
+value must be a float in [0, 1], factors of organism must sum to 1 at most.
+Habitats: Water-surface, Water, Sediment-surface, Sediment for aquatic ecosystems
+and In-soil, On-soil, Above-soil for terrestrial one
 */
 Setting.prototype.setOccupancyFactor = function(organism, habitat, value) {
-    if (!this.occupancyFactors[organism]) {
-        this.occupancyFactors[organism] = {};
+    var factors = Object.assign({}, this.occupancyFactors[organism]);
+    factors[habitat] = value;
+    this.setOccupancyFactors(organism, factors);
+};
+
+// Set all factors of organism at once (as input form does), so sum is checked for new values only
+Setting.prototype.setOccupancyFactors = function(organism, factors) {
+    for (var habitat in factors) {
+        checkValue("occupancy", factors[habitat], `Occupancy factor of ${organism} in ${habitat}`);
     }
-    this.occupancyFactors[organism][habitat] = value;
+    var sum = getOccupancySum(factors);
+    if (sum > maxOccupancySum) {
+        throw new Error(`Occupancy factors of ${organism} sum to ${Number(sum.toPrecision(6))}, more than 1`);
+    }
+    this.occupancyFactors[organism] = Object.assign({}, factors);
 };
 
 Setting.prototype.getOccupancyFactor = function(organism, habitat) {
@@ -138,6 +560,7 @@ type must "Appha", "Beta/gamma" or "Low Beta".
 */
 Setting.prototype.setRadiationWeightingFactor = function(type, text, value) {
     var index = {"Alpha": 0, "Beta/gamma": 1, "Low Beta": 2};
+    checkValue("wf", value, `${type} weighting factor`);
     this.radiationWeightingFactors[index[type]] = value;
 };
 
@@ -148,6 +571,7 @@ Setting.prototype.getRadiationWeightingFactor = function(type, text) {
 
 // Set and get activity concentrations
 Setting.prototype.setActivityConcentration = function(isotope, object, value) {
+    checkValue("activity", value, `Activity concentration of ${isotope} in ${object}`);
     if (!this.activityConcentrations[isotope]) {
         this.activityConcentrations[isotope] = {};
     }
@@ -163,9 +587,34 @@ Setting.prototype.getActivityConcentration = function(isotope, object) {
     }
 };
 
+// Set and get units of activity concentrations in medium or organism (Bq/kg by default)
+Setting.prototype.setActivityUnit = function(object, unit) {
+    if (!activityUnits[unit]) {
+        throw new Error(`Unknown activity unit ${unit}`);
+    }
+    this.activityUnits[object] = unit;
+};
+
+Setting.prototype.getActivityUnit = function(object) {
+    return this.activityUnits[object] || "Bq/kg";
+};
+
+// Set and get units for dose rates output (\u00b5Gy/h by default)
+Setting.prototype.setDoseRateUnit = function(unit) {
+    if (!doseRateUnits[unit]) {
+        throw new Error(`Unknown dose rate unit ${unit}`);
+    }
+    this.doseRateUnit = unit;
+};
+
+Setting.prototype.getDoseRateUnit = function() {
+    return this.doseRateUnit;
+};
+
 // Set and get percentage dry weight value for soil (value in [0, 100])
 // texts added for uniformity with other setters
 Setting.prototype.setPercentageDryWeight = function(text1, text2, value) {
+    checkValue("dry", value, "Percentage dry weight");
     this.percentageDryWeight = value;
 };
 
@@ -174,168 +623,1125 @@ Setting.prototype.getPercentageDryWeight = function() {
 };
 
 /*
-Set and get dose conversion coefficients
-values must be an array of 6 floats in [0, +inf) in order:
-    - internal alpha
-    - internal beta/gamma
-    - internal low beta
-    - external alpha
-    - external beta/gamma
-    - external low beta
+Set and get dose conversion coefficients (\u00b5Gy/h per Bq/kg)
+values must be an array of 6 floats in [0, +inf) in order of dccNames.
+Missing values (null or undefined) remove user's DCCs, so ERICA's ones are used.
 */
+var dccNames = [
+    "Internal alpha",
+    "Internal beta/gamma",
+    "Internal low beta",
+    "External alpha",
+    "External beta/gamma",
+    "External low beta"
+];
+
 Setting.prototype.setDoseConversionCoefficients = function(isotope, organism, values) {
+    if (values === null || values === undefined) {
+        if (this.doseConversionCoefficients[isotope]) {
+            delete this.doseConversionCoefficients[isotope][organism];
+        }
+        return;
+    }
+    if (!Array.isArray(values) || values.length !== dccNames.length) {
+        throw new Error(`DCCs of ${isotope} for ${organism} must be ${dccNames.length} values`);
+    }
+    values.forEach(function(value, index) {
+        checkValue("dcc", value, `${dccNames[index]} DCC of ${isotope} for ${organism}`);
+    });
     if (!this.doseConversionCoefficients[isotope]) {
         this.doseConversionCoefficients[isotope] = {};
     }
-    this.doseConversionCoefficients[isotope][organism] = values;
-}
+    this.doseConversionCoefficients[isotope][organism] = values.slice();
+};
 
 Setting.prototype.getDoseConversionCoefficients = function(isotope, organism) {
-    return this.doseConversionCoefficients[isotope][organism];
+    return (this.doseConversionCoefficients[isotope] || {})[organism];
 };
 
+/*
+Estimate DCCs of isotope for organism with mass and ellipsoid dimensions.
+Reference organisms are ERICA's ones with DCCs of isotope and geometry (geometry table).
+Distance between organisms is measured by logarithms of mass and elongation
+(length / sqrt(width * height)), DCCs of two nearest reference organisms are
+interpolated with inverse distance weights.
+Returns {values, note} or undefined if there are no reference organisms.
+*/
+var getElongation = function(dimensions) {
+    return dimensions[0] / Math.sqrt(dimensions[1] * dimensions[2]);
+};
 
-// Result
-var Result = function(setting) {
-    // Make deep clone of setting to not alter it during calculation
-    var deepClone = JSON.parse(JSON.stringify(setting, function(key, value) {
-        // Convert sets to arrays (JSON.stringify doesn't work with sets)
-        if (value instanceof Set) {
-            return Array.from(value);
+var estimateDoseConversionCoefficients = function(isotope, definition, data) {
+    var references = [];
+    for (var organism in data.geometry) {
+        var values = (data.dcc[isotope] || {})[organism];
+        if (!values) {
+            continue;
         }
-        return value;
-    }));
-    for (property in deepClone) {
-        this[property] = deepClone[property];
+        var geometry = data.geometry[organism];
+        var distance = Math.hypot(
+            Math.log10(definition.mass / geometry.mass),
+            Math.log10(getElongation(definition.dimensions) / getElongation(geometry.dimensions))
+        );
+        references.push({organism: organism, values: values, distance: distance});
+    }
+    if (!references.length) {
+        return undefined;
     }
+    references.sort(function(a, b) {
+        return a.distance - b.distance;
+    });
+    if (references[0].distance === 0 || references.length === 1) {
+        return {values: references[0].values.slice(), note: `DCCs of ${references[0].organism}`};
+    }
+    var nearest = references.slice(0, 2);
+    var sum = 1 / nearest[0].distance + 1 / nearest[1].distance;
+    var weights = nearest.map(function(reference) {
+        return 1 / reference.distance / sum;
+    });
+    return {
+        values: nearest[0].values.map(function(value, index) {
+            return value * weights[0] + nearest[1].values[index] * weights[1];
+        }),
+        note: "interpolated from " + nearest.map(function(reference, index) {
+            return `${reference.organism} (${Math.round(weights[index] * 100)}%)`;
+        }).join(", ")
+    };
 };
 
-// Get isotopes and organisms list
-Result.prototype.getIsotopes = function() {
-    return this.isotopes;
+/*
+Get ERICA's DCCs of isotope for organism (undefined for custom radionuclides),
+DCCs of custom organisms are estimated from their geometry.
+*/
+Setting.prototype.getDefaultDoseConversionCoefficients = function(isotope, organism) {
+    var data = this.dataset[this.ecosystem];
+    if (this.customOrganisms[organism]) {
+        var estimate = estimateDoseConversionCoefficients(isotope, this.customOrganisms[organism], data);
+        return estimate && estimate.values;
+    }
+    return (data.dcc[isotope] || {})[organism];
 };
 
-Result.prototype.getOrganisms = function() {
-    return this.organisms;
+/*
+Set and get risk assessment parameters
+parameter must be "Screening dose rate" (in uGy/h) or "Uncertainty factor".
+ERICA uses screening dose rate 10 uGy/h and uncertainty factors 3 or 5.
+*/
+Setting.prototype.setRiskParameter = function(parameter, text, value) {
+    var property = {
+        "Screening dose rate": "screeningDoseRate",
+        "Uncertainty factor": "uncertaintyFactor"
+    };
+    checkValue("risk", value, parameter);
+    this[property[parameter]] = value;
 };
 
-// Fill missing data using ERICA's coefficients
-Result.prototype.fillGaps = function(setting) {
-    var toRemove = [];
-    for (isotope of this.isotopes) {
-
-        // Stop if there is no data about some isotope
-        if (!this.activityConcentrations[isotope] ||
-            Object.values(this.activityConcentrations[isotope]).every(function(value) {
-                return isNaN(value) || value === null;
-            })) {
-            console.log(`Can't find any data for ${isotope}`);
-            toRemove.unshift(this.isotopes.indexOf(isotope));
-            continue;
-        }
+Setting.prototype.getRiskParameter = function(parameter, text) {
+    var property = {
+        "Screening dose rate": "screeningDoseRate",
+        "Uncertainty factor": "uncertaintyFactor"
+    };
+    return this[property[parameter]];
+};
 
-        // Fill Kd and activity concentrations for water and sediment
-        // Perform calculations using data only for water or sediment
-        var nuclide = isotope.split("-")[0];
-        if (!this.distributionCoefficients[nuclide]) {
-            this.distributionCoefficients[nuclide] = erica.kd[nuclide];
-        }
-        
-        var kd = this.distributionCoefficients[nuclide];
-        var activity = this.activityConcentrations[isotope];
+/*
+Set and get decay correction dates
+Dates are strings "YYYY-MM-DD". Activity concentrations of isotope measured
+at its sampling date are decay-corrected to reference date of assessment.
+Empty date turns decay correction off.
+*/
+Setting.prototype.setSamplingDate = function(isotope, date) {
+    if (date) {
+        checkDate(date, `Sampling date of ${isotope}`);
+        this.samplingDates[isotope] = date;
+    }
+    else {
+        delete this.samplingDates[isotope];
+    }
+};
 
-        if (!activity["Water"] && activity["Sediment"]) {
-            activity["Water"] = activity["Sediment"] / kd;
-        }
+Setting.prototype.getSamplingDate = function(isotope) {
+    return this.samplingDates[isotope] || "";
+};
 
-        if (!activity["Sediment"] && activity["Water"]) {
-            activity["Sediment"] = activity["Water"] * kd;
-        }
+Setting.prototype.setReferenceDate = function(date) {
+    if (date) {
+        checkDate(date, "Reference date");
+    }
+    this.referenceDate = date || "";
+};
 
-        // Fill CR, activity concentrations and DCC for organisms
-        if (!this.concentrationRatios[nuclide]) {
-            this.concentrationRatios[nuclide] = {};
-        }
-        var cr = this.concentrationRatios[nuclide];
+Setting.prototype.getReferenceDate = function() {
+    return this.referenceDate;
+};
 
-        if (!this.doseConversionCoefficients[isotope]) {
-            this.doseConversionCoefficients[isotope] = {};
-        }
-        var dcc = this.doseConversionCoefficients[isotope];
+/*
+Set and get progeny mode
+mode must be "none" (isotopes are independent), "equilibrium" (progeny shorter-lived
+than parent are in secular equilibrium) or "ingrowth" (progeny grown in
+for time in days since parent was separated).
+*/
+var progenyModes = ["none", "equilibrium", "ingrowth"];
 
-        for (organism of this.organisms) {
-            if (!cr[organism]) {
-                cr[organism] = erica.cr[nuclide][organism];
-            }
-            if (!activity[organism] && activity["Water"]) {
-                activity[organism] = activity["Water"] * cr[organism];
-            }
-            if (!dcc[organism]) {
-                dcc[organism] = erica.dcc[isotope][organism];
-            }
-        }
+Setting.prototype.setProgeny = function(mode, time=0) {
+    if (!progenyModes.includes(mode)) {
+        throw new Error(`Unknown progeny mode ${mode}`);
     }
-
-    // Remove isotopes with no data
-    for (index of toRemove) {
-        this.isotopes.splice(index, 1);
+    if (mode === "ingrowth" && !(time >= 0)) {
+        throw new Error("Ingrowth time must be non-negative");
     }
+    this.progeny = {mode: mode, time: time};
+};
 
-    // Clear organism list if there is no any data for activity concentration
-    if (!this.isotopes.length) {
-        this.organisms.splice(0);
+Setting.prototype.getProgeny = function() {
+    return this.progeny;
+};
+
+/*
+Set and get ICRP Reference Animal or Plant (RAP) for organism
+Organism total dose rate is compared with Derived Consideration Reference Level (DCRL) band
+of its RAP (ICRP Publication 108). ERICA's organisms are mapped to the nearest RAPs
+by default (rap tables of the database), custom organisms use RAPs of their surrogates,
+empty rap restores default one.
+*/
+Setting.prototype.setReferenceOrganism = function(organism, rap) {
+    if (!rap) {
+        delete this.referenceOrganisms[organism];
+        return;
+    }
+    if (!this.dataset.dcrl[rap]) {
+        throw new Error(`Unknown ICRP Reference Animal or Plant ${rap}`);
     }
+    this.referenceOrganisms[organism] = rap;
+};
 
-    // Fill occupancy factors
-    for (organism of this.organisms) {
-        var factors = this.occupancyFactors[organism];
-        if (!factors || Object.values(factors).every(function(value) {
-            return isNaN(value) || value === null;
-        })) {
-            this.occupancyFactors[organism] = erica.occ[organism];
-        }
-        else {
-            for (habitat in factors) {
-                if (isNaN(factors[habitat]) || factors[habitat] === null) {
-                    factors[habitat] = 0;
+Setting.prototype.getReferenceOrganism = function(organism) {
+    return this.referenceOrganisms[organism] ||
+        this.dataset[this.ecosystem].rap[this.getSurrogateOrganism(organism)] || "";
+};
+
+// Get RAPs with DCRL bands
+Setting.prototype.getReferenceOrganisms = function() {
+    return Object.keys(this.dataset.dcrl);
+};
+
+/*
+Validate values of input form before they are set.
+type is form name ("isotopes", "organisms", "CRs", "Kds", "WFs", "dry", "risk" or "DCCs"),
+values are {row: {col: value}} as in form's table. DCCs form has rows of organisms
+with DCCs (cols are dccNames) and CR, and "Kd" row.
+Returns list of errors {row, col, message}, col is empty for errors of whole row.
+*/
+Setting.prototype.validateInput = function(type, values) {
+    var rules = {
+        "isotopes": "activity",
+        "organisms": "occupancy",
+        "CRs": "cr",
+        "Kds": "kd",
+        "WFs": "wf",
+        "dry": "dry",
+        "risk": "risk"
+    };
+    var errors = [];
+    for (var row in values) {
+        // DCCs of organism are entered all together or not at all (ERICA's ones are used then)
+        var hasDccs = dccNames.some(function(name) {
+            return !isMissing(values[row][name]);
+        });
+        for (var col in values[row]) {
+            var rule = rules[type];
+            if (type === "DCCs") {
+                if (dccNames.includes(col) && !hasDccs) {
+                    continue;
                 }
+                rule = {"CR": "cr", "Kd": "kd"}[col] || "dcc";
+            }
+            var error = getValueError(rule, values[row][col]);
+            if (error) {
+                errors.push({row: row, col: col, message: `Value ${error}`});
+            }
+        }
+
+        if (type === "organisms") {
+            var sum = getOccupancySum(values[row]);
+            if (sum > maxOccupancySum) {
+                errors.push({row: row, col: "", message: `Occupancy factors sum to ${Number(sum.toPrecision(6))}, more than 1`});
             }
         }
-    }
 
+        // Activity in organisms can't be calculated without reference medium
+        if (type === "isotopes" && this.media.every(function(medium) {
+            return isMissing(values[row][medium]);
+        })) {
+            errors.push({
+                row: row,
+                col: "",
+                message: `Activity concentration in ${this.media.join(" or ")} is required`
+            });
+        }
+    }
+    return errors;
 };
 
-// Get summary coefficients for calculations
-Result.prototype.getCoefficients = function() {
-    // Use aliases
-    var dcc = this.doseConversionCoefficients;
-    var wf = this.radiationWeightingFactors;
 
-    this.internalCoefficients = {};
+/*
+Export and import setting
+Setting is saved as JSON object with format name and version.
+Media and habitats are defined by ecosystem, so they aren't saved.
+*/
+var settingFormat = "hydra-setting";
+var settingVersion = 1;
+
+Setting.prototype.toObject = function() {
+    return {
+        format: settingFormat,
+        version: settingVersion,
+        ecosystem: this.ecosystem,
+        isotopes: this.getIsotopes(),
+        organisms: this.getOrganisms(),
+        activityConcentrations: this.activityConcentrations,
+        distributionCoefficients: this.distributionCoefficients,
+        concentrationRatios: this.concentrationRatios,
+        occupancyFactors: this.occupancyFactors,
+        doseConversionCoefficients: this.doseConversionCoefficients,
+        radiationWeightingFactors: this.radiationWeightingFactors,
+        percentageDryWeight: this.percentageDryWeight,
+        screeningDoseRate: this.screeningDoseRate,
+        uncertaintyFactor: this.uncertaintyFactor,
+        distributions: this.distributions,
+        referenceDate: this.referenceDate,
+        samplingDates: this.samplingDates,
+        progeny: this.progeny,
+        activityUnits: this.activityUnits,
+        doseRateUnit: this.doseRateUnit,
+        referenceOrganisms: this.referenceOrganisms,
+        customIsotopes: this.customIsotopes,
+        customOrganisms: this.customOrganisms,
+        timeSeries: this.timeSeries
+    };
+};
+
+Setting.prototype.stringify = function() {
+    return JSON.stringify(this.toObject(), null, 2);
+};
+
+// Create setting from object, throw error if object doesn't fit ERICA's data
+Setting.fromObject = function(object, dataset=getDefaultDataset()) {
+    if (!object || object.format !== settingFormat) {
+        throw new Error("File doesn't contain HYDRA setting");
+    }
+    if (!(object.version <= settingVersion)) {
+        throw new Error(`Unsupported setting version ${object.version}`);
+    }
+    if (!ecosystems[object.ecosystem] || !dataset[object.ecosystem]) {
+        throw new Error(`Unknown ecosystem ${object.ecosystem}`);
+    }
+
+    // Check isotopes and organisms (including custom ones)
+    var customIsotopes = object.customIsotopes || [];
+    var customOrganisms = object.customOrganisms || {};
+    var isotopes = object.isotopes || [];
+    var organisms = object.organisms || [];
+    var unknownIsotopes = isotopes.filter(function(isotope) {
+        return !dataset.isotopes.includes(isotope) && !customIsotopes.includes(isotope);
+    });
+    var unknownOrganisms = organisms.filter(function(organism) {
+        return !dataset[object.ecosystem].organisms.includes(organism) && !customOrganisms[organism];
+    });
+    var errors = [];
+    if (unknownIsotopes.length) {
+        errors.push(`Unknown isotopes: ${unknownIsotopes.join(", ")}`);
+    }
+    if (unknownOrganisms.length) {
+        errors.push(`Unknown organisms for ${object.ecosystem} ecosystem: ${unknownOrganisms.join(", ")}`);
+    }
+    for (var isotope of customIsotopes) {
+        var error = getCustomIsotopeError(isotope, dataset);
+        if (error) {
+            errors.push(error);
+        }
+    }
+    for (var organism in customOrganisms) {
+        errors = errors.concat(getCustomOrganismErrors(organism, customOrganisms[organism], object.ecosystem, dataset));
+    }
+    var units = Object.values(object.activityUnits || {}).filter(function(unit) {
+        return !activityUnits[unit];
+    });
+    if (object.doseRateUnit && !doseRateUnits[object.doseRateUnit]) {
+        units.push(object.doseRateUnit);
+    }
+    if (units.length) {
+        errors.push(`Unknown units: ${units.join(", ")}`);
+    }
+    if (errors.length) {
+        throw new Error(errors.join(". "));
+    }
+
+    var setting = new Setting(dataset);
+    setting.setEcosystem(object.ecosystem);
+    for (isotope of customIsotopes) {
+        setting.addCustomIsotope(isotope);
+    }
+    for (organism in customOrganisms) {
+        setting.addCustomOrganism(organism, customOrganisms[organism]);
+    }
+    for (isotope of isotopes) {
+        setting.addIsotope(isotope);
+    }
+    for (organism of organisms) {
+        setting.addOrganism(organism);
+    }
+
+    // Values are deep copied to not share them with object
+    // (NaN values are saved as null, which is treated as missing data too)
+    var properties = [
+        "activityConcentrations",
+        "distributionCoefficients",
+        "concentrationRatios",
+        "occupancyFactors",
+        "doseConversionCoefficients",
+        "radiationWeightingFactors",
+        "percentageDryWeight",
+        "screeningDoseRate",
+        "uncertaintyFactor",
+        "distributions",
+        "referenceDate",
+        "samplingDates",
+        "progeny",
+        "activityUnits",
+        "doseRateUnit",
+        "referenceOrganisms",
+        "timeSeries"
+    ];
+    for (var property of properties) {
+        if (object[property] !== undefined) {
+            setting[property] = JSON.parse(JSON.stringify(object[property]));
+        }
+    }
+
+    // Values are set again to check them with setters' rules
+    for (var isotope in setting.activityConcentrations) {
+        for (var medium in setting.activityConcentrations[isotope]) {
+            setting.setActivityConcentration(isotope, medium, setting.activityConcentrations[isotope][medium]);
+        }
+    }
+    for (var nuclide in setting.distributionCoefficients) {
+        setting.setDistributionCoefficient(nuclide, "", setting.distributionCoefficients[nuclide]);
+    }
+    for (var nuclide in setting.concentrationRatios) {
+        for (var organism in setting.concentrationRatios[nuclide]) {
+            setting.setConcentrationRatio(nuclide, organism, setting.concentrationRatios[nuclide][organism]);
+        }
+    }
+    for (var organism in setting.occupancyFactors) {
+        setting.setOccupancyFactors(organism, setting.occupancyFactors[organism]);
+    }
+    ["Alpha", "Beta/gamma", "Low Beta"].forEach(function(type) {
+        setting.setRadiationWeightingFactor(type, "", setting.getRadiationWeightingFactor(type, ""));
+    });
+    setting.setPercentageDryWeight("", "", setting.percentageDryWeight);
+    setting.setRiskParameter("Screening dose rate", "", setting.screeningDoseRate);
+    setting.setRiskParameter("Uncertainty factor", "", setting.uncertaintyFactor);
+    setting.setReferenceDate(setting.referenceDate);
+    for (var isotope in setting.samplingDates) {
+        setting.setSamplingDate(isotope, setting.samplingDates[isotope]);
+    }
+    for (var organism in setting.referenceOrganisms) {
+        setting.setReferenceOrganism(organism, setting.referenceOrganisms[organism]);
+    }
+    for (var isotope in setting.doseConversionCoefficients) {
+        for (var organism in setting.doseConversionCoefficients[isotope]) {
+            setting.setDoseConversionCoefficients(isotope, organism, setting.doseConversionCoefficients[isotope][organism]);
+        }
+    }
+
+    return setting;
+};
+
+Setting.parse = function(text, dataset=getDefaultDataset()) {
+    var object;
+    try {
+        object = JSON.parse(text);
+    }
+    catch (error) {
+        throw new Error("File isn't valid JSON");
+    }
+    return Setting.fromObject(object, dataset);
+};
+
+/*
+Setting in URL fragment ("setting=..." after "#") for links to assessment.
+Setting object without empty and default values is encoded as base64url JSON,
+so links work without server.
+*/
+var encodeBase64URL = function(text) {
+    var binary = "";
+    for (var byte of new TextEncoder().encode(text)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+var decodeBase64URL = function(text) {
+    var binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return new TextDecoder().decode(Uint8Array.from(binary, function(char) {
+        return char.charCodeAt(0);
+    }));
+};
+
+// Remove missing values (null) and empty objects, arrays are kept as they are
+var compactObject = function(object) {
+    var compact = {};
+    for (var key in object) {
+        var value = object[key];
+        if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+            value = compactObject(value);
+            if (!Object.keys(value).length) {
+                continue;
+            }
+        }
+        if (value !== null) {
+            compact[key] = value;
+        }
+    }
+    return compact;
+};
+
+Setting.prototype.toURLFragment = function() {
+    var object = compactObject(JSON.parse(JSON.stringify(this.toObject())));
+    var defaults = new Setting(this.dataset).toObject();
+    for (var property in object) {
+        if (property !== "version" && property !== "ecosystem" &&
+            JSON.stringify(object[property]) === JSON.stringify(defaults[property])) {
+            delete object[property];
+        }
+    }
+    delete object.format;
+    return "setting=" + encodeBase64URL(JSON.stringify(object));
+};
+
+/*
+Restore setting from URL fragment (with or without "#").
+Isotopes and organisms missing in dataset are skipped with their values,
+returns {setting, unknown: {isotopes, organisms}}.
+*/
+Setting.fromURLFragment = function(fragment, dataset=getDefaultDataset()) {
+    var match = fragment.match(/^#?setting=([A-Za-z0-9_-]+)$/);
+    var object;
+    try {
+        object = JSON.parse(decodeBase64URL(match[1]));
+    }
+    catch (error) {
+        throw new Error("Link doesn't contain HYDRA setting");
+    }
+    object.format = settingFormat;
+
+    var unknown = {isotopes: [], organisms: []};
+    var ecosystem = object.ecosystem;
+    if (dataset[ecosystem]) {
+        unknown.isotopes = (object.isotopes || []).filter(function(isotope) {
+            return !dataset.isotopes.includes(isotope) && !(object.customIsotopes || []).includes(isotope);
+        });
+        unknown.organisms = (object.organisms || []).filter(function(organism) {
+            return !dataset[ecosystem].organisms.includes(organism) && !(object.customOrganisms || {})[organism];
+        });
+        object.isotopes = (object.isotopes || []).filter(function(isotope) {
+            return !unknown.isotopes.includes(isotope);
+        });
+        object.organisms = (object.organisms || []).filter(function(organism) {
+            return !unknown.organisms.includes(organism);
+        });
+    }
+
+    var setting = Setting.fromObject(object, dataset);
+    for (var isotope of unknown.isotopes) {
+        setting.deleteIsotope(isotope, true);
+    }
+    for (var organism of unknown.organisms) {
+        setting.deleteOrganism(organism, true);
+    }
+    return {setting: setting, unknown: unknown};
+};
+
+// Make independent copy of setting
+Setting.prototype.clone = function() {
+    return Setting.fromObject(this.toObject(), this.dataset);
+};
+
+
+// Result
+var Result = function(setting) {
+    // Make deep clone of setting to not alter it during calculation
+    var deepClone = JSON.parse(JSON.stringify(setting, function(key, value) {
+        // Convert sets to arrays (JSON.stringify doesn't work with sets)
+        if (value instanceof Set) {
+            return Array.from(value);
+        }
+        // Dataset is shared, not copied
+        if (this === setting && key === "dataset") {
+            return undefined;
+        }
+        return value;
+    }));
+    for (var property in deepClone) {
+        this[property] = deepClone[property];
+    }
+    this.dataset = setting.dataset;
+};
+
+// Get isotopes and organisms list
+Result.prototype.getIsotopes = function() {
+    return this.isotopes;
+};
+
+// Custom radionuclides aren't ERICA's standard ones, they are flagged in results
+Result.prototype.getCustomIsotopes = function() {
+    return this.isotopes.filter(this.isCustomIsotope, this);
+};
+
+Result.prototype.isCustomIsotope = Setting.prototype.isCustomIsotope;
+
+// Custom organisms aren't ERICA's ones, they are flagged in results
+Result.prototype.getCustomOrganisms = function() {
+    return this.organisms.filter(this.isCustomOrganism, this);
+};
+
+Result.prototype.getCustomOrganism = Setting.prototype.getCustomOrganism;
+Result.prototype.isCustomOrganism = Setting.prototype.isCustomOrganism;
+Result.prototype.getSurrogateOrganism = Setting.prototype.getSurrogateOrganism;
+
+Result.prototype.getOrganisms = function() {
+    return this.organisms;
+};
+
+/*
+Decay data
+Half-lives are in days. Progeny chains link ERICA isotopes, long-lived intermediate
+progeny (e.g. Ac-227) and a few short-lived ones (e.g. Rn-222) which aren't ERICA isotopes.
+Very short-lived progeny (e.g. Ba-137m for Cs-137) are included in ERICA's DCCs.
+*/
+var getDecayConstant = function(isotope, dataset) {
+    return Math.LN2 / dataset.decay[isotope];
+};
+
+/*
+Bateman equations
+Get activity of the last member of decay chain relative to activity of the first one
+after time (in days), when there were no progeny at start.
+lambdas are decay constants of chain members, branchings are fractions of decays
+of each member (except the last one) giving the next one.
+*/
+var getIngrowthRatio = function(lambdas, branchings, time) {
+    var n = lambdas.length;
+    var factor = lambdas[n - 1] / lambdas[0];
+    for (var i = 0; i < n - 1; i++) {
+        factor *= lambdas[i] * branchings[i];
+    }
+    var sum = 0;
+    for (var i = 0; i < n; i++) {
+        var denominator = 1;
+        for (var j = 0; j < n; j++) {
+            if (j !== i) {
+                denominator *= lambdas[j] - lambdas[i];
+            }
+        }
+        // Parent's decay is divided out to keep exponents finite
+        sum += Math.exp((lambdas[0] - lambdas[i]) * time) / denominator;
+    }
+    return factor * sum;
+};
+
+/*
+Get progeny of isotope as object {daughter: daughter/parent activity ratio}
+Progeny are summed over all decay paths.
+In secular equilibrium ratio is product of branchings, chain stops at the first
+progeny living longer than parent.
+*/
+var getProgenyRatios = function(parent, progeny, dataset) {
+    var ratios = {};
+    var follow = function(isotope, lambdas, branchings) {
+        (dataset.progeny[isotope] || []).forEach(function(link) {
+            var daughter = link.daughter;
+            if (progeny.mode === "equilibrium" && dataset.decay[daughter] >= dataset.decay[parent]) {
+                return;
+            }
+            var chainLambdas = lambdas.concat(getDecayConstant(daughter, dataset));
+            var chainBranchings = branchings.concat(link.branching);
+            var ratio;
+            if (progeny.mode === "equilibrium") {
+                ratio = chainBranchings.reduce(function(product, value) {
+                    return product * value;
+                }, 1);
+            }
+            else {
+                ratio = getIngrowthRatio(chainLambdas, chainBranchings, progeny.time);
+            }
+            ratios[daughter] = (ratios[daughter] || 0) + ratio;
+            follow(daughter, chainLambdas, chainBranchings);
+        });
+    };
+    follow(parent, [getDecayConstant(parent, dataset)], []);
+    return ratios;
+};
+
+// Convert activity concentrations to Bq/kg
+Result.prototype.convertUnits = function() {
+    for (var isotope in this.activityConcentrations) {
+        var activity = this.activityConcentrations[isotope];
+        for (var object in activity) {
+            var unit = this.activityUnits[object];
+            if (unit && activity[object] !== null) {
+                activity[object] *= activityUnits[unit];
+            }
+        }
+    }
+};
+
+// Decay-correct activity concentrations from sampling dates to reference date
+Result.prototype.correctDecay = function() {
+    if (!this.referenceDate) {
+        return;
+    }
+    var reference = Date.parse(this.referenceDate);
+    for (var isotope of this.isotopes) {
+        var date = this.samplingDates[isotope];
+        var activity = this.activityConcentrations[isotope];
+        if (!date || !activity || !this.dataset.decay[isotope]) {
+            continue;
+        }
+        // Days from sampling to reference date (negative if sampled later)
+        var days = (reference - Date.parse(date)) / 86400000;
+        var factor = Math.exp(-getDecayConstant(isotope, this.dataset) * days);
+        for (var object in activity) {
+            if (activity[object] !== null) {
+                activity[object] *= factor;
+            }
+        }
+    }
+};
+
+/*
+Add progeny activity concentrations in media and organisms
+Progeny of all isotopes are summed and added to activity concentrations
+of the same isotopes if they are set. Progeny which aren't ERICA isotopes
+are skipped (they have no DCCs).
+*/
+Result.prototype.addProgeny = function() {
+    this.progenyIsotopes = [];
+    if (this.progeny.mode === "none") {
+        return;
+    }
+    var data = this.dataset[this.ecosystem];
+    var objects = this.media.concat(this.organisms);
+    var added = {};
+    var parents = {};
+    for (var isotope of this.isotopes) {
+        var ratios = getProgenyRatios(isotope, this.progeny, this.dataset);
+        for (var daughter in ratios) {
+            if (!this.dataset.isotopes.includes(daughter)) {
+                this.skipped.isotopes.push({name: daughter, reason: `progeny of ${isotope}, not ERICA's isotope`});
+                continue;
+            }
+            if (!added[daughter]) {
+                added[daughter] = {};
+                parents[daughter] = [];
+            }
+            parents[daughter].push(isotope);
+            for (var object of objects) {
+                // Progeny of missing parent's value are missing too, they aren't added
+                var value = this.activityConcentrations[isotope][object];
+                if (isMissing(value)) {
+                    continue;
+                }
+                added[daughter][object] = (added[daughter][object] || 0) + value * ratios[daughter];
+            }
+        }
+    }
+
+    for (var daughter in added) {
+        if (!this.isotopes.includes(daughter)) {
+            this.isotopes.push(daughter);
+            this.progenyIsotopes.push(daughter);
+        }
+        if (!this.activityConcentrations[daughter]) {
+            this.activityConcentrations[daughter] = {};
+        }
+        var activity = this.activityConcentrations[daughter];
+        if (!this.doseConversionCoefficients[daughter]) {
+            this.doseConversionCoefficients[daughter] = {};
+        }
+        var note = `progeny of ${parents[daughter].join(", ")} (${this.progeny.mode})`;
+        for (var object in added[daughter]) {
+            // Progeny are added to values of the same isotope
+            var origin = this.getOrigin("activity", daughter, object);
+            var sum = origin.origin === "missing" ? note :
+                `${origin.origin === "user" ? "entered" : origin.note} + ${note}`;
+            if (isMissing(activity[object])) {
+                activity[object] = 0;
+            }
+            activity[object] += added[daughter][object];
+            this.setOrigin("activity", daughter, object, "derived", sum);
+        }
+        for (var organism of this.organisms) {
+            if (!this.origins.dcc[daughter] || !this.origins.dcc[daughter][organism]) {
+                this.fillDoseConversionCoefficients(daughter, organism);
+            }
+        }
+    }
+};
+
+/*
+Origins of parameters values used in calculations:
+    "user" - entered by user (note tells about unit conversion and decay correction),
+    "default" - ERICA's database value,
+    "derived" - calculated from other values (note gives formula),
+    "missing" - no value, dependent dose rates can't be calculated.
+Origins are stored for parameters "activity" (isotope, object), "kd" (nuclide),
+"cr" (nuclide, organism), "dcc" (isotope, organism) and "occupancy" (organism, habitat).
+*/
+var parameterNames = {
+    "activity": "Activity concentration, Bq/kg",
+    "kd": "Kd",
+    "cr": "CR",
+    "dcc": "DCC",
+    "occupancy": "Occupancy factor"
+};
+
+var originNames = {
+    "user": "Entered",
+    "default": "ERICA's default",
+    "derived": "Derived",
+    "missing": "No data"
+};
+
+Result.prototype.setOrigin = function(parameter, key, object, origin, note="") {
+    if (!this.origins[parameter][key]) {
+        this.origins[parameter][key] = {};
+    }
+    this.origins[parameter][key][object] = {origin: origin, note: note};
+};
+
+Result.prototype.getOrigin = function(parameter, key, object="") {
+    var origins = this.origins[parameter][key];
+    return origins && origins[object] || {origin: "missing", note: ""};
+};
+
+// Describe changes of activity concentration entered by user before calculations
+Result.prototype.getInputNote = function(isotope, object) {
+    var notes = [];
+    var unit = this.activityUnits[object];
+    if (unit && unit !== "Bq/kg") {
+        notes.push(`converted from ${unit}`);
+    }
+    if (this.referenceDate && this.samplingDates[isotope] && this.dataset.decay[isotope]) {
+        notes.push(`decay-corrected from ${this.samplingDates[isotope]} to ${this.referenceDate}`);
+    }
+    return notes.join(", ");
+};
+
+/*
+Fill DCCs of isotope for organism and set their origin: entered ones are kept,
+ERICA's ones are used for ERICA's organisms, custom organisms get DCCs
+interpolated from reference organisms (see estimateDoseConversionCoefficients).
+*/
+Result.prototype.fillDoseConversionCoefficients = function(isotope, organism) {
+    var data = this.dataset[this.ecosystem];
+    var dcc = this.doseConversionCoefficients[isotope];
+    var custom = this.customOrganisms[organism];
+    var estimate = custom && estimateDoseConversionCoefficients(isotope, custom, data);
+    if (dcc[organism]) {
+        this.setOrigin("dcc", isotope, organism, "user",
+            this.isCustomIsotope(isotope) ? "custom radionuclide" : "");
+    }
+    else if (this.isCustomIsotope(isotope)) {
+        this.setOrigin("dcc", isotope, organism, "missing", "custom radionuclide, DCCs aren't entered");
+    }
+    else if (estimate) {
+        dcc[organism] = estimate.values;
+        this.setOrigin("dcc", isotope, organism, "derived", `custom organism, ${estimate.note}`);
+    }
+    else if (custom) {
+        this.setOrigin("dcc", isotope, organism, "missing", "custom organism, no reference organisms with geometry");
+    }
+    else if (data.dcc[isotope] && data.dcc[isotope][organism]) {
+        dcc[organism] = data.dcc[isotope][organism];
+        this.setOrigin("dcc", isotope, organism, "default");
+    }
+    else {
+        this.setOrigin("dcc", isotope, organism, "missing");
+    }
+};
+
+// Fill missing data using ERICA's coefficients for ecosystem
+// Values set to 0 are used as they are, only empty ones are filled
+Result.prototype.fillGaps = function() {
+    var data = this.dataset[this.ecosystem];
+    var reference = this.media[0];
+    var objects = this.media.concat(this.organisms);
+    var toRemove = [];
+    this.origins = {activity: {}, kd: {}, cr: {}, dcc: {}, occupancy: {}};
+    this.skipped = {isotopes: [], organisms: []};
+
+    for (var isotope of this.isotopes) {
+        var activity = this.activityConcentrations[isotope];
+
+        // Skip isotope if there is no data about it
+        if (!activity || objects.every(function(object) {
+            return isMissing(activity[object]);
+        })) {
+            this.skipped.isotopes.push({name: isotope, reason: "no activity concentrations"});
+            toRemove.unshift(this.isotopes.indexOf(isotope));
+            continue;
+        }
+        for (var object of objects) {
+            if (!isMissing(activity[object])) {
+                this.setOrigin("activity", isotope, object, "user", this.getInputNote(isotope, object));
+            }
+        }
+
+        // Fill Kd and activity concentrations for water and sediment
+        // Perform calculations using data only for water or sediment
+        var nuclide = isotope.split("-")[0];
+
+        if (this.media.includes("Sediment")) {
+            // Kd is common for isotopes of nuclide
+            if (!this.origins.kd[nuclide]) {
+                if (isMissing(this.distributionCoefficients[nuclide])) {
+                    this.distributionCoefficients[nuclide] = data.kd[nuclide];
+                    this.setOrigin("kd", nuclide, "", isMissing(data.kd[nuclide]) ? "missing" : "default");
+                }
+                else {
+                    this.setOrigin("kd", nuclide, "", "user");
+                }
+            }
+
+            var kd = this.distributionCoefficients[nuclide];
+
+            if (isMissing(activity["Water"]) && !isMissing(activity["Sediment"]) && kd > 0) {
+                activity["Water"] = activity["Sediment"] / kd;
+                this.setOrigin("activity", isotope, "Water", "derived", "Sediment / Kd");
+            }
+
+            if (isMissing(activity["Sediment"]) && !isMissing(activity["Water"]) && !isMissing(kd)) {
+                activity["Sediment"] = activity["Water"] * kd;
+                this.setOrigin("activity", isotope, "Sediment", "derived", "Water \u00d7 Kd");
+            }
+        }
+
+        // Fill CR, activity concentrations and DCC for organisms
+        if (!this.concentrationRatios[nuclide]) {
+            this.concentrationRatios[nuclide] = {};
+        }
+        var cr = this.concentrationRatios[nuclide];
+
+        if (!this.doseConversionCoefficients[isotope]) {
+            this.doseConversionCoefficients[isotope] = {};
+        }
+
+        for (var organism of this.organisms) {
+            if (!this.origins.cr[nuclide] || !this.origins.cr[nuclide][organism]) {
+                if (isMissing(cr[organism])) {
+                    // Custom organisms get CRs of their surrogates
+                    var surrogate = this.getSurrogateOrganism(organism);
+                    if (data.cr[nuclide]) {
+                        cr[organism] = data.cr[nuclide][surrogate];
+                    }
+                    this.setOrigin("cr", nuclide, organism, isMissing(cr[organism]) ? "missing" : "default",
+                        surrogate === organism ? "" : `CR of ${surrogate}`);
+                }
+                else {
+                    this.setOrigin("cr", nuclide, organism, "user");
+                }
+            }
+            if (isMissing(activity[organism]) && !isMissing(activity[reference]) && !isMissing(cr[organism])) {
+                activity[organism] = activity[reference] * cr[organism];
+                this.setOrigin("activity", isotope, organism, "derived", `${reference} \u00d7 CR`);
+            }
+            this.fillDoseConversionCoefficients(isotope, organism);
+        }
+    }
+
+    // Remove isotopes with no data
+    for (var index of toRemove) {
+        this.isotopes.splice(index, 1);
+    }
+
+    // Clear organism list if there is no any data for activity concentration
+    if (!this.isotopes.length) {
+        for (var organism of this.organisms) {
+            this.skipped.organisms.push({name: organism, reason: "no isotopes with activity concentrations"});
+        }
+        this.organisms.splice(0);
+    }
+
+    // Organisms without DCCs are kept, but they have no dose rates
+    for (var organism of this.organisms) {
+        if (this.isotopes.every(function(isotope) {
+            return !this.doseConversionCoefficients[isotope][organism];
+        }, this)) {
+            this.skipped.organisms.push({name: organism, reason: "no DCCs for isotopes, dose rates aren't calculated"});
+        }
+    }
+
+    // Fill occupancy factors (custom organisms have their occupancy profiles)
+    for (var organism of this.organisms) {
+        var factors = this.occupancyFactors[organism];
+        var isDefault = !factors || Object.values(factors).every(isMissing);
+        var isProfile = isDefault && this.isCustomOrganism(organism);
+        if (isProfile) {
+            factors = this.occupancyFactors[organism] = Object.assign({}, this.customOrganisms[organism].occupancy);
+            isDefault = false;
+        }
+        if (isDefault) {
+            this.occupancyFactors[organism] = data.occ[organism];
+            factors = data.occ[organism] || {};
+        }
+        for (var habitat in this.habitats) {
+            if (isDefault) {
+                this.setOrigin("occupancy", organism, habitat, isMissing(factors[habitat]) ? "missing" : "default");
+            }
+            else if (isMissing(factors[habitat])) {
+                factors[habitat] = 0;
+                this.setOrigin("occupancy", organism, habitat, "derived", "0 as other factors are entered");
+            }
+            else {
+                this.setOrigin("occupancy", organism, habitat, "user", isProfile ? "custom organism's profile" : "");
+            }
+        }
+    }
+
+};
+
+/*
+Get origins of all parameters used in calculations as list of
+{parameter, key, object, value, origin, note} (see setOrigin).
+*/
+Result.prototype.getParameterOrigins = function() {
+    var list = [];
+    var values = {
+        "activity": function(isotope, object) {
+            return (this.activityConcentrations[isotope] || {})[object];
+        },
+        "kd": function(nuclide) {
+            return this.distributionCoefficients[nuclide];
+        },
+        "cr": function(nuclide, organism) {
+            return (this.concentrationRatios[nuclide] || {})[organism];
+        },
+        "dcc": function(isotope, organism) {
+            return (this.doseConversionCoefficients[isotope] || {})[organism];
+        },
+        "occupancy": function(organism, habitat) {
+            return (this.occupancyFactors[organism] || {})[habitat];
+        }
+    };
+    var add = function(parameter, key, object) {
+        var value = values[parameter].call(this, key, object);
+        var origin = this.getOrigin(parameter, key, object);
+        list.push({
+            parameter: parameter,
+            key: key,
+            object: object,
+            value: isMissing(value) ? null : value,
+            origin: origin.origin,
+            note: origin.note
+        });
+    }.bind(this);
+
+    for (var isotope of this.isotopes) {
+        for (var object of this.media.concat(this.organisms)) {
+            add("activity", isotope, object);
+        }
+    }
+    // Kd and CRs aren't used for progeny, so only ones with origins are listed
+    for (var nuclide in this.origins.kd) {
+        add("kd", nuclide, "");
+    }
+    for (var nuclide in this.origins.cr) {
+        for (var organism of this.organisms) {
+            add("cr", nuclide, organism);
+        }
+    }
+    for (var isotope of this.isotopes) {
+        for (var organism of this.organisms) {
+            add("dcc", isotope, organism);
+        }
+    }
+    for (var organism of this.organisms) {
+        for (var habitat in this.habitats) {
+            add("occupancy", organism, habitat);
+        }
+    }
+    return list;
+};
+
+// Get isotopes and organisms excluded from calculations as {isotopes, organisms}
+// with lists of {name, reason}
+Result.prototype.getSkipped = function() {
+    return this.skipped;
+};
+
+// Get summary coefficients for calculations
+Result.prototype.getCoefficients = function() {
+    // Use aliases
+    var dcc = this.doseConversionCoefficients;
+    var wf = this.radiationWeightingFactors;
+
+    this.internalCoefficients = {};
     this.externalCoefficients = {};
+    this.weightedCoefficients = {};
     
-    for (isotope of this.isotopes) {
+    for (var isotope of this.isotopes) {
         this.internalCoefficients[isotope] = {};
         this.externalCoefficients[isotope] = {};
-        for (organism of this.organisms) {
-            coefs = [];
-            dcc[isotope][organism].forEach(function(value, index) {
+        this.weightedCoefficients[isotope] = {};
+        for (var organism of this.organisms) {
+            // Missing DCCs give no result for organism
+            var coefs = [];
+            (dcc[isotope][organism] || []).forEach(function(value, index) {
                 coefs.push(value * wf[index % wf.length]);
             });
+            this.weightedCoefficients[isotope][organism] = coefs;
             this.internalCoefficients[isotope][organism] = coefs[0] + coefs[1] + coefs[2];
             this.externalCoefficients[isotope][organism] = coefs[3] + coefs[4] + coefs[5];
         }
     }
+
+    /*
+    Weighted external DCCs for each habitat. Habitats with their own geometry get
+    ERICA's DCCs for it, DCCs entered by user or derived for custom organisms
+    are used in all habitats.
+    */
+    var habitatDcc = this.dataset[this.ecosystem].habitatDcc || {};
+    var ownHabitats = ecosystems[this.ecosystem].habitatDcc || [];
+    this.habitatCoefficients = {};
+    for (var habitat in this.habitats) {
+        this.habitatCoefficients[habitat] = {};
+        for (var isotope of this.isotopes) {
+            this.habitatCoefficients[habitat][isotope] = {};
+            for (var organism of this.organisms) {
+                var coefs = this.weightedCoefficients[isotope][organism].slice(3);
+                if (ownHabitats.includes(habitat) && this.getOrigin("dcc", isotope, organism).origin === "default") {
+                    // Missing DCCs give no result for organism
+                    var values = (habitatDcc[habitat][isotope] || {})[organism] || [NaN, NaN, NaN];
+                    coefs = values.map(function(value, index) {
+                        return value * wf[index];
+                    });
+                }
+                this.habitatCoefficients[habitat][isotope][organism] = coefs;
+            }
+        }
+    }
 };
 
 // Calculate internal dose rates
 Result.prototype.getInternal = function() {
     this.internalDoseRates = {};
-    for (isotope of this.isotopes) {
+    for (var isotope of this.isotopes) {
         this.internalDoseRates[isotope] = {};
         var activity = this.activityConcentrations[isotope];
         var coef = this.internalCoefficients[isotope];
-        for (organism of this.organisms) {
+        for (var organism of this.organisms) {
             this.internalDoseRates[isotope][organism] = activity[organism] * coef[organism];
         }
     }
@@ -344,31 +1750,48 @@ Result.prototype.getInternal = function() {
 // Calculate external dose rates from each media
 Result.prototype.getExternal = function() {
     this.externalDoseRates = {};
-    for (isotope of this.isotopes) {
+    for (var isotope of this.isotopes) {
         this.externalDoseRates[isotope] = {};
         var activity = this.activityConcentrations[isotope];
         var coef = this.externalCoefficients[isotope];
-        for (organism of this.organisms) {
-            this.externalDoseRates[isotope][organism] = [
-                activity["Water"] * coef[organism],
-                activity["Sediment"] * this.percentageDryWeight / 100 * coef[organism]
-            ];
+        for (var organism of this.organisms) {
+            var ext = [];
+            for (var medium of this.media) {
+                // Sediment activity concentration is set for dry weight
+                var fraction = medium === "Sediment" ? this.percentageDryWeight / 100 : 1;
+                ext.push(activity[medium] * fraction * coef[organism]);
+            }
+            this.externalDoseRates[isotope][organism] = ext;
         }
     }
 
-    // Calculate external dose rates for habitats
+    /*
+    Calculate external dose rates for habitats: from each medium (weighted with habitat's
+    fractions and DCCs) and their sums
+    */
+    this.habitatMediaDoseRates = {};
     this.habitatDoseRates = {};
-    for (habitat in this.habitats) {
-        var coef = this.habitats[habitat];
-        var temp = {};
-        for (isotope of this.isotopes) {
-            temp[isotope] = {};
-            for (organism of this.organisms) {
-                var ext = this.externalDoseRates[isotope][organism];
-                temp[isotope][organism] = ext[0] * coef[0] + ext[1] * coef[1];
+    for (var habitat in this.habitats) {
+        var fractions = this.habitats[habitat];
+        this.habitatMediaDoseRates[habitat] = {};
+        this.habitatDoseRates[habitat] = {};
+        for (var isotope of this.isotopes) {
+            this.habitatMediaDoseRates[habitat][isotope] = {};
+            this.habitatDoseRates[habitat][isotope] = {};
+            var activity = this.activityConcentrations[isotope];
+            for (var organism of this.organisms) {
+                var coefs = this.habitatCoefficients[habitat][isotope][organism];
+                var habitatCoef = coefs[0] + coefs[1] + coefs[2];
+                var ext = this.media.map(function(medium, index) {
+                    var dryFraction = medium === "Sediment" ? this.percentageDryWeight / 100 : 1;
+                    return activity[medium] * dryFraction * habitatCoef * fractions[index];
+                }, this);
+                this.habitatMediaDoseRates[habitat][isotope][organism] = ext;
+                this.habitatDoseRates[habitat][isotope][organism] = ext.reduce(function(total, value) {
+                    return total + value;
+                }, 0);
             }
         }
-        this.habitatDoseRates[habitat] = temp;
     }
 };
 
@@ -376,12 +1799,12 @@ Result.prototype.getExternal = function() {
 Result.prototype.getTotal = function() {
     this.totalDoseRates = {};
     var habitats = Object.keys(this.habitats);
-    for (isotope of this.isotopes) {
+    for (var isotope of this.isotopes) {
         this.totalDoseRates[isotope] = {};
-        for (organism of this.organisms) {
+        for (var organism of this.organisms) {
             var occupancy = this.occupancyFactors[organism];
             var total = this.internalDoseRates[isotope][organism];
-            for (habitat of habitats) {
+            for (var habitat of habitats) {
                 total += this.habitatDoseRates[habitat][isotope][organism] * occupancy[habitat];
             }
             this.totalDoseRates[isotope][organism] = total;
@@ -389,10 +1812,101 @@ Result.prototype.getTotal = function() {
     }
 };
 
+/*
+Split total dose rates into contributions of:
+    - internal and external exposure
+    - external exposure from each medium
+    - external exposure in each habitat
+    - radiation types (alpha, beta/gamma, low beta)
+All contributions are weighted with occupancy factors, so they sum up to total.
+*/
+Result.prototype.getBreakdown = function() {
+    var radiationTypes = ["Alpha", "Beta/gamma", "Low beta"];
+    var breakdown = {"Total": this.totalDoseRates, "Internal": {}, "External": {}};
+    for (var medium of this.media) {
+        breakdown[`External from ${medium}`] = {};
+    }
+    for (var habitat in this.habitats) {
+        breakdown[`External in ${habitat}`] = {};
+    }
+    for (var type of radiationTypes) {
+        breakdown[type] = {};
+    }
+
+    for (var isotope of this.isotopes) {
+        for (var view in breakdown) {
+            if (view !== "Total") {
+                breakdown[view][isotope] = {};
+            }
+        }
+        for (var organism of this.organisms) {
+            var occupancy = this.occupancyFactors[organism];
+            var external = 0;
+            breakdown["Internal"][isotope][organism] = this.internalDoseRates[isotope][organism];
+
+            this.media.forEach(function(medium, index) {
+                var value = 0;
+                for (var habitat in this.habitats) {
+                    value += this.habitatMediaDoseRates[habitat][isotope][organism][index] * occupancy[habitat];
+                }
+                breakdown[`External from ${medium}`][isotope][organism] = value;
+                external += value;
+            }, this);
+            breakdown["External"][isotope][organism] = external;
+
+            for (var habitat in this.habitats) {
+                breakdown[`External in ${habitat}`][isotope][organism] =
+                    this.habitatDoseRates[habitat][isotope][organism] * occupancy[habitat];
+            }
+
+            // External dose rate in each habitat is split in proportion to its weighted DCCs
+            var coefs = this.weightedCoefficients[isotope][organism];
+            var activity = this.activityConcentrations[isotope][organism];
+            radiationTypes.forEach(function(type, index) {
+                var value = activity * coefs[index];
+                for (var habitat in this.habitats) {
+                    var habitatCoefs = this.habitatCoefficients[habitat][isotope][organism];
+                    var habitatCoef = habitatCoefs[0] + habitatCoefs[1] + habitatCoefs[2];
+                    var share = habitatCoef ? habitatCoefs[index] / habitatCoef : 0;
+                    value += breakdown[`External in ${habitat}`][isotope][organism] * share;
+                }
+                breakdown[type][isotope][organism] = value;
+            }, this);
+        }
+    }
+
+    this.breakdownDoseRates = breakdown;
+};
+
+// Get names of dose rate contributions
+Result.prototype.getBreakdownViews = function() {
+    return Object.keys(this.breakdownDoseRates);
+};
+
+Result.prototype.getBreakdownDoseRate = function(view, isotope, organism) {
+    if (!this.breakdownDoseRates[view][isotope]) {
+        return undefined;
+    }
+    return this.breakdownDoseRates[view][isotope][organism];
+};
+
+Result.prototype.getOrganismBreakdownDoseRate = function(view, organism) {
+    var total = 0;
+    for (var isotope in this.breakdownDoseRates[view]) {
+        total += this.breakdownDoseRates[view][isotope][organism];
+    }
+    return total;
+};
+
 // Calculate dose rates
 Result.prototype.calculate = function() {
-    // Get missing data
+    // Convert activity concentrations to Bq/kg and correct them to reference date
+    this.convertUnits();
+    this.correctDecay();
+
+    // Get missing data and add progeny
     this.fillGaps();
+    this.addProgeny();
 
     // Get summary coefficients
     this.getCoefficients();
@@ -401,6 +1915,9 @@ Result.prototype.calculate = function() {
     this.getInternal();
     this.getExternal();
     this.getTotal();
+
+    // Split total dose rates by pathways and radiation types
+    this.getBreakdown();
 };
 
 Result.prototype.getTotalDoseRate = function(isotope, organism) {
@@ -410,10 +1927,294 @@ Result.prototype.getTotalDoseRate = function(isotope, organism) {
     return this.totalDoseRates[isotope][organism];
 };
 
+// Dose rates are kept in \u00b5Gy/h, unit is used for output only
+Result.prototype.setDoseRateUnit = Setting.prototype.setDoseRateUnit;
+
+Result.prototype.getDoseRateUnit = function() {
+    return this.doseRateUnit;
+};
+
 Result.prototype.getOrganismTotalDoseRate = function(organism) {
     var total = 0;
-    for (isotope in this.totalDoseRates) {
+    for (var isotope in this.totalDoseRates) {
         total += this.totalDoseRates[isotope][organism];
     }
     return total;
 };
+
+
+/*
+Risk quotients
+RQ = dose rate / screening dose rate * uncertainty factor.
+RQ less than 1 means risk is negligible, otherwise the case should be considered further.
+*/
+Result.prototype.getRiskQuotient = function(isotope, organism) {
+    var doseRate = this.getTotalDoseRate(isotope, organism);
+    if (doseRate === undefined) {
+        return undefined;
+    }
+    return doseRate / this.screeningDoseRate * this.uncertaintyFactor;
+};
+
+// Summed risk quotient for organism
+Result.prototype.getOrganismRiskQuotient = function(organism) {
+    return this.getOrganismTotalDoseRate(organism) / this.screeningDoseRate * this.uncertaintyFactor;
+};
+
+Result.prototype.getRiskVerdict = function(riskQuotient) {
+    if (riskQuotient === undefined || isNaN(riskQuotient)) {
+        return undefined;
+    }
+    return riskQuotient < 1 ? "pass" : "consider further";
+};
+
+
+/*
+Comparison with ICRP Derived Consideration Reference Levels
+DCRL band of organism's Reference Animal or Plant (see Setting.setReferenceOrganism)
+is returned as {rap, min, max} in \u00b5Gy/h (undefined for organisms without RAP).
+Organism total dose rate is below, within or above the band.
+*/
+Result.prototype.getReferenceOrganism = Setting.prototype.getReferenceOrganism;
+
+Result.prototype.getDcrlBand = function(organism) {
+    var rap = this.getReferenceOrganism(organism);
+    var band = this.dataset.dcrl[rap];
+    if (!band) {
+        return undefined;
+    }
+    return {
+        rap: rap,
+        min: band[0] / doseRateUnits["mGy/d"],
+        max: band[1] / doseRateUnits["mGy/d"]
+    };
+};
+
+Result.prototype.getDcrlVerdict = function(organism) {
+    var band = this.getDcrlBand(organism);
+    var doseRate = this.getOrganismTotalDoseRate(organism);
+    if (!band || isNaN(doseRate)) {
+        return undefined;
+    }
+    if (doseRate < band.min) {
+        return "below";
+    }
+    return doseRate > band.max ? "above" : "within";
+};
+
+
+/*
+Export results as object: dose rates of isotopes for organisms and their totals,
+totals for contributions (see getBreakdown) in chosen units,
+risk quotients and verdicts for organisms, comparison with DCRL bands (in chosen units),
+origins of parameters (see getParameterOrigins), skipped isotopes and organisms
+and custom (non-standard) radionuclides.
+Missing values are null.
+*/
+Result.prototype.toObject = function() {
+    var unit = this.doseRateUnit;
+    var convert = function(value) {
+        return value === undefined || isNaN(value) ? null : convertDoseRate(value, unit);
+    };
+    var object = {
+        units: {doseRate: unit},
+        ecosystem: this.ecosystem,
+        isotopes: this.isotopes.slice(),
+        organisms: this.organisms.slice(),
+        doseRates: {},
+        totalDoseRates: {},
+        breakdown: {},
+        riskQuotients: {},
+        verdicts: {},
+        dcrl: {},
+        parameters: this.getParameterOrigins(),
+        skipped: JSON.parse(JSON.stringify(this.getSkipped())),
+        customIsotopes: this.getCustomIsotopes(),
+        customOrganisms: {}
+    };
+    for (var organism of this.getCustomOrganisms()) {
+        object.customOrganisms[organism] = JSON.parse(JSON.stringify(this.customOrganisms[organism]));
+    }
+    for (var isotope of this.isotopes) {
+        object.doseRates[isotope] = {};
+        for (organism of this.organisms) {
+            object.doseRates[isotope][organism] = convert(this.getTotalDoseRate(isotope, organism));
+        }
+    }
+    for (var view of this.getBreakdownViews()) {
+        object.breakdown[view] = {};
+    }
+    for (organism of this.organisms) {
+        object.totalDoseRates[organism] = convert(this.getOrganismTotalDoseRate(organism));
+        for (var view in object.breakdown) {
+            object.breakdown[view][organism] = convert(this.getOrganismBreakdownDoseRate(view, organism));
+        }
+        var riskQuotient = this.getOrganismRiskQuotient(organism);
+        object.riskQuotients[organism] = isNaN(riskQuotient) ? null : riskQuotient;
+        object.verdicts[organism] = this.getRiskVerdict(riskQuotient) || null;
+        var band = this.getDcrlBand(organism);
+        object.dcrl[organism] = band ? {
+            referenceOrganism: band.rap,
+            band: [convert(band.min), convert(band.max)],
+            verdict: this.getDcrlVerdict(organism) || null
+        } : null;
+    }
+    return object;
+};
+
+/*
+Export results as CSV with ";" separator (as ERICA's results).
+The first table contains total dose rates in the same layout as ERICA's ones.
+Other tables are separated with empty lines and named in their first cell.
+Dose rates are given in chosen units, comparison with DCRL bands, parameters origins,
+skipped items and custom radionuclides follow them, units are listed in the last table.
+*/
+Result.prototype.toCSV = function() {
+    var organisms = this.organisms;
+    var isotopes = this.isotopes;
+    var unit = this.doseRateUnit;
+    var lines = [];
+
+    var format = function(value) {
+        return value === undefined || isNaN(value) ? "" : String(convertDoseRate(value, unit));
+    };
+
+    var addTable = function(name, rows, getter) {
+        if (lines.length) {
+            lines.push("");
+        }
+        lines.push([name].concat(organisms).join(";"));
+        for (var row of rows) {
+            var cells = [row];
+            for (var organism of organisms) {
+                cells.push(format(getter(row, organism)));
+            }
+            lines.push(cells.join(";"));
+        }
+    };
+
+    addTable("", isotopes, this.getTotalDoseRate.bind(this));
+    addTable("Organism total dose rates", ["Total"], function(row, organism) {
+        return this.getOrganismTotalDoseRate(organism);
+    }.bind(this));
+    addTable("Internal dose rates", isotopes, function(isotope, organism) {
+        return this.internalDoseRates[isotope][organism];
+    }.bind(this));
+    this.media.forEach(function(medium, index) {
+        addTable(`External dose rates from ${medium}`, isotopes, function(isotope, organism) {
+            return this.externalDoseRates[isotope][organism][index];
+        }.bind(this));
+    }, this);
+    for (var habitat in this.habitats) {
+        addTable(`External dose rates in ${habitat}`, isotopes, function(isotope, organism) {
+            return this.habitatDoseRates[habitat][isotope][organism];
+        }.bind(this));
+    }
+
+    // Organisms total dose rates compared with DCRL bands of their RAPs
+    lines.push("", "DCRL;Reference organism;Band minimum;Band maximum;Total dose rate;Comparison");
+    for (var organism of organisms) {
+        var band = this.getDcrlBand(organism) || {rap: ""};
+        lines.push([organism, band.rap, format(band.min), format(band.max),
+            format(this.getOrganismTotalDoseRate(organism)), this.getDcrlVerdict(organism) || ""].join(";"));
+    }
+
+    // Parameters used in calculations and their origins
+    lines.push("", "Parameters;Key;Object;Value;Origin;Note");
+    for (var item of this.getParameterOrigins()) {
+        var value = Array.isArray(item.value) ? item.value.join(" ") : item.value;
+        lines.push([parameterNames[item.parameter], item.key, item.object,
+            value === null ? "" : value, item.origin, item.note].join(";"));
+    }
+    var skipped = this.getSkipped();
+    if (skipped.isotopes.length || skipped.organisms.length) {
+        lines.push("", "Skipped;Name;Reason");
+        for (var type in skipped) {
+            for (var item of skipped[type]) {
+                lines.push([type === "isotopes" ? "Isotope" : "Organism", item.name, item.reason].join(";"));
+            }
+        }
+    }
+
+    var customIsotopes = this.getCustomIsotopes();
+    if (customIsotopes.length) {
+        lines.push("", ["Custom radionuclides"].concat(customIsotopes).join(";"));
+    }
+
+    var customOrganisms = this.getCustomOrganisms();
+    if (customOrganisms.length) {
+        lines.push("", "Custom organisms;Mass, kg;Length, m;Width, m;Height, m;Surrogate");
+        for (var organism of customOrganisms) {
+            var definition = this.customOrganisms[organism];
+            lines.push([organism, definition.mass].concat(definition.dimensions, definition.surrogate).join(";"));
+        }
+    }
+
+    // Units of dose rates and activity concentrations entered by user
+    lines.push("", "Units", `Dose rates;${unit}`);
+    for (var object of this.media.concat(organisms)) {
+        lines.push(`Activity concentrations in ${object};${this.activityUnits[object] || "Bq/kg"}`);
+    }
+
+    return lines.join("\r\n");
+};
+
+
+/*
+Run step(index) for indexes from 0 to count - 1 in chunks, so long assessments
+(every step is full calculation) don't freeze page. Each chunk runs for chunkTime
+milliseconds at most, then browser gets control back until next chunk.
+onProgress is called after each chunk with number of finished steps.
+Returns promise resolved when all steps are finished or rejected with step's error.
+*/
+var runInChunks = function(count, step, onProgress, chunkTime=50) {
+    return new Promise(function(resolve, reject) {
+        var index = 0;
+        var runChunk = function() {
+            var start = Date.now();
+            try {
+                while (index < count && Date.now() - start < chunkTime) {
+                    step(index);
+                    index++;
+                }
+            }
+            catch (error) {
+                reject(error);
+                return;
+            }
+            if (onProgress) {
+                onProgress(index, count);
+            }
+            if (index < count) {
+                setTimeout(runChunk, 0);
+            }
+            else {
+                resolve();
+            }
+        };
+        setTimeout(runChunk, 0);
+    });
+};
+
+
+// Export engine for Node (in browser scripts share globals)
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        hydraVersion: hydraVersion,
+        ericaVersion: ericaVersion,
+        ecosystems: ecosystems,
+        activityUnits: activityUnits,
+        doseRateUnits: doseRateUnits,
+        convertDoseRate: convertDoseRate,
+        isMissing: isMissing,
+        checkValue: checkValue,
+        runInChunks: runInChunks,
+        progenyModes: progenyModes,
+        getProgenyRatios: getProgenyRatios,
+        parameterNames: parameterNames,
+        originNames: originNames,
+        dccNames: dccNames,
+        Setting: Setting,
+        Result: Result
+    };
+}
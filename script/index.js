@@ -0,0 +1,29 @@
+/*
+
+HYDRA engine for Node (CommonJS).
+
+Setting, Result and assessments work as in browser, but ERICA's dataset
+must be loaded first and passed to Setting:
+
+    const hydra = require("hydra");
+    const dataset = await hydra.loadDatabase();
+    const setting = new hydra.Setting(dataset);
+
+*/
+
+var hydra = require("./hydra.js");
+var probabilistic = require("./probabilistic.js");
+var sensitivity = require("./sensitivity.js");
+var batch = require("./batch.js");
+var inverse = require("./inverse.js");
+var report = require("./report.js");
+var scenarios = require("./scenarios.js");
+var timeseries = require("./timeseries.js");
+var erica = require("./erica.js");
+var loader = require("./loader.js");
+
+module.exports = Object.assign({}, hydra, probabilistic, sensitivity, batch, inverse, report, scenarios, timeseries, {
+    readDatabase: erica.readDatabase,
+    loadDatabase: loader.loadDatabase,
+    loadCsv: loader.loadCsv
+});
@@ -0,0 +1,41 @@
+/*
+
+HYDRA engine for Node (ES module), see index.js.
+
+*/
+
+import hydra from "./index.js";
+
+export const {
+    hydraVersion,
+    ericaVersion,
+    ecosystems,
+    activityUnits,
+    doseRateUnits,
+    convertDoseRate,
+    progenyModes,
+    getProgenyRatios,
+    dccNames,
+    Setting,
+    Result,
+    distributions,
+    createRandom,
+    MonteCarlo,
+    Sensitivity,
+    Batch,
+    Inverse,
+    Report,
+    Scenarios,
+    Comparison,
+    timeSeriesTypes,
+    getTimeSeriesValue,
+    doseUnits,
+    getDoseUnit,
+    convertDose,
+    TimeSeries,
+    readDatabase,
+    loadDatabase,
+    loadCsv
+} = hydra;
+
+export default hydra;
@@ -0,0 +1,129 @@
+/*
+
+Inverse assessment (ERICA Tier 1 style) for HYDRA.
+
+Environmental media concentration limits (EMCLs) are activity concentrations
+of isotope in medium giving screening dose rate (divided by uncertainty factor)
+to the most sensitive selected organism. Measured activity concentrations
+are compared with limits by sum of fractions.
+
+*/
+
+// Get engine in Node (in browser scripts share globals)
+if (typeof module !== "undefined" && module.exports) {
+    var hydra = require("./hydra.js");
+    var Result = hydra.Result;
+}
+
+var Inverse = function(setting) {
+    this.setting = setting;
+};
+
+/*
+Make setting with unit activity concentration (1 Bq/kg) of isotope in medium only.
+Activity concentrations in other media and organisms are calculated
+with Kd and CRs, progeny are added as in original setting.
+*/
+Inverse.prototype.getUnitSetting = function(isotope, medium) {
+    var setting = this.setting.clone();
+    for (var other of setting.getIsotopes()) {
+        setting.deleteIsotope(other);
+    }
+    setting.activityConcentrations = {};
+    setting.activityUnits = {};
+    setting.setReferenceDate("");
+    setting.addIsotope(isotope);
+    setting.setActivityConcentration(isotope, medium, 1);
+    return setting;
+};
+
+// Calculate limits for each isotope and medium and fractions of measured values
+Inverse.prototype.run = function() {
+    var screening = this.setting.screeningDoseRate / this.setting.uncertaintyFactor;
+    this.limits = {};
+    this.limitingOrganisms = {};
+
+    for (var isotope of this.setting.getIsotopes()) {
+        this.limits[isotope] = {};
+        this.limitingOrganisms[isotope] = {};
+        for (var medium of this.setting.media) {
+            var result = new Result(this.getUnitSetting(isotope, medium));
+            result.calculate();
+
+            // Dose rate per unit activity concentration (with progeny) is linear,
+            // so the highest one gives the limit
+            var maximum = NaN;
+            for (var organism of result.getOrganisms()) {
+                var value = result.getOrganismTotalDoseRate(organism);
+                if (!isNaN(value) && !(maximum >= value)) {
+                    maximum = value;
+                    this.limitingOrganisms[isotope][medium] = organism;
+                }
+            }
+            this.limits[isotope][medium] = screening / maximum;
+        }
+    }
+
+    // Measured activity concentrations are converted to Bq/kg and decay-corrected
+    var measured = new Result(this.setting);
+    measured.convertUnits();
+    measured.correctDecay();
+    this.measured = measured.activityConcentrations;
+};
+
+Inverse.prototype.getIsotopes = function() {
+    return Object.keys(this.limits);
+};
+
+Inverse.prototype.getMedia = function() {
+    return this.setting.media;
+};
+
+Inverse.prototype.getLimit = function(isotope, medium) {
+    return this.limits[isotope][medium];
+};
+
+Inverse.prototype.getLimitingOrganism = function(isotope, medium) {
+    return this.limitingOrganisms[isotope][medium];
+};
+
+// Fraction of limit for measured activity concentration (NaN if it isn't measured)
+Inverse.prototype.getFraction = function(isotope, medium) {
+    var value = this.measured[isotope] ? this.measured[isotope][medium] : undefined;
+    if (value === undefined || value === null) {
+        return NaN;
+    }
+    return value / this.getLimit(isotope, medium);
+};
+
+// Sum of fractions for isotopes measured in medium
+Inverse.prototype.getSumOfFractions = function(medium) {
+    var fractions = this.getIsotopes().map(function(isotope) {
+        return this.getFraction(isotope, medium);
+    }, this).filter(function(value) {
+        return !isNaN(value);
+    });
+    if (!fractions.length) {
+        return NaN;
+    }
+    return fractions.reduce(function(sum, value) {
+        return sum + value;
+    }, 0);
+};
+
+// Fractions and their sums are risk quotients
+Inverse.prototype.getRiskQuotient = function(isotope, medium) {
+    return this.getFraction(isotope, medium);
+};
+
+Inverse.prototype.getRiskVerdict = function(riskQuotient) {
+    return Result.prototype.getRiskVerdict(riskQuotient);
+};
+
+
+// Export for Node
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        Inverse: Inverse
+    };
+}
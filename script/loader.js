@@ -0,0 +1,93 @@
+/*
+
+Load ERICA's dataset in Node from database file (data/erica.db)
+or from CSV files it's created from (data/csv).
+
+*/
+
+var fs = require("fs");
+var path = require("path");
+var initSqlJs = require("./sql.js/sql-wasm.js");
+var readDatabase = require("./erica.js").readDatabase;
+
+var dataDirectory = path.join(__dirname, "..", "data");
+
+/*
+Open sql.js with WebAssembly file from disk
+sql.js sets global SQL for itself, it's removed to not leak into user's code.
+*/
+var openSqlJs = function() {
+    var hasSQL = "SQL" in globalThis;
+    return initSqlJs({
+        wasmBinary: fs.readFileSync(path.join(__dirname, "sql.js", "sql-wasm.wasm"))
+    }).then(function(SQL) {
+        if (!hasSQL) {
+            delete globalThis.SQL;
+        }
+        return SQL;
+    });
+};
+
+/*
+Create table from CSV text as erica_db.html does.
+The first line is header with column names and types (e.g. "name TEXT;value REAL"),
+values are separated with ";".
+*/
+var createTable = function(db, name, text) {
+    var lines = text.split(/\r?\n/).filter(function(line) {
+        return line.trim();
+    });
+    var headers = lines[0].split(";");
+    db.run(`CREATE TABLE ${name} (${headers.join(",")});`);
+
+    var types = headers.map(function(header) {
+        return header.trim().split(" ")[1];
+    });
+    var placeholders = Array(headers.length).fill("?");
+    var stmt = db.prepare(`INSERT INTO ${name} VALUES (${placeholders});`);
+    for (var i = 1; i < lines.length; i++) {
+        var values = lines[i].split(";").map(function(value, index) {
+            return types[index] === "REAL" ? parseFloat(value) : value;
+        });
+        stmt.run(values);
+    }
+    stmt.free();
+};
+
+// Load dataset from SQLite database file
+var loadDatabase = function(filename=path.join(dataDirectory, "erica.db")) {
+    return openSqlJs().then(function(SQL) {
+        var db = new SQL.Database(fs.readFileSync(filename));
+        try {
+            return readDatabase(db);
+        }
+        finally {
+            db.close();
+        }
+    });
+};
+
+// Load dataset from directory with CSV files (one file for each table)
+var loadCsv = function(directory=path.join(dataDirectory, "csv")) {
+    return openSqlJs().then(function(SQL) {
+        var db = new SQL.Database();
+        try {
+            for (var file of fs.readdirSync(directory)) {
+                if (path.extname(file) === ".csv") {
+                    var text = fs.readFileSync(path.join(directory, file), "utf8");
+                    createTable(db, path.basename(file, ".csv"), text);
+                }
+            }
+            return readDatabase(db);
+        }
+        finally {
+            db.close();
+        }
+    });
+};
+
+module.exports = {
+    createTable: createTable,
+    loadDatabase: loadDatabase,
+    loadCsv: loadCsv
+};
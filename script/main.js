@@ -7,6 +7,8 @@ Make all stuff work.
 // Create new setting
 var setting = new Setting();
 var result;
+// Copy of setting result is calculated for (setting can be changed after calculation)
+var resultSetting;
 var output = document.getElementById("results");
 
 var appFrame = document.getElementsByClassName("app-frame")[0];
@@ -43,40 +45,535 @@ weightingFactors.addEventListener("click", function() {
     var container = showInput(appFrame, "WFs", setting);
     container.className = "input-box";
 });
+var riskParameters = document.getElementById("risk");
+riskParameters.addEventListener("click", function() {
+    var container = showInput(appFrame, "risk", setting);
+    container.className = "input-box";
+});
+var dcrlParameters = document.getElementById("dcrl");
+dcrlParameters.addEventListener("click", function() {
+    var container = showReferenceOrganisms(appFrame, setting);
+    container.className = "input-box";
+});
+var radionuclideParameters = document.getElementById("radionuclides");
+radionuclideParameters.addEventListener("click", function() {
+    var container = showRadionuclides(appFrame, setting, showSetting);
+    container.className = "input-box";
+});
+var customOrganisms = document.getElementById("custom-organisms");
+customOrganisms.addEventListener("click", function() {
+    var container = showCustomOrganisms(appFrame, setting, showSetting);
+    container.className = "input-box";
+});
+var decayParameters = document.getElementById("decay");
+decayParameters.addEventListener("click", function() {
+    var container = showDecay(appFrame, setting);
+    container.className = "input-box";
+});
 
 
 // Fieldsets
 var allOrganisms = document.getElementById("all-organisms");
 var allIsotopes = document.getElementById("all-isotopes");
 
-var checker = setInterval(function() {
-    if (isEricaReady) {
-        addCheckbox(allOrganisms, "organisms", setting, organismsList);
-        addCheckbox(allIsotopes, "isotopes", setting, isotopesList);
-        clearInterval(checker);
+// Ecosystem selector
+var ecosystemSelector = document.getElementById("ecosystem");
+ecosystemSelector.addEventListener("change", function(e) {
+    setting.setEcosystem(e.target.value);
+
+    // Organisms are different for ecosystems
+    clearCheckbox(allOrganisms);
+    addCheckbox(allOrganisms, "organisms", setting, organismsList);
+    updateList(setting.getOrganisms(), organismsList);
+});
+
+// Ecosystems without ERICA's data in database can't be chosen
+var showEcosystems = function() {
+    var available = setting.getEcosystems();
+    for (var option of ecosystemSelector.options) {
+        option.disabled = !available.includes(option.value);
+        option.title = option.disabled ? "ERICA's data for this ecosystem aren't in database" : "";
+    }
+};
+
+// Show current setting: ecosystem, selected organisms and isotopes
+var showSetting = function() {
+    ecosystemSelector.value = setting.getEcosystem();
+    doseRateUnitSelector.value = setting.getDoseRateUnit();
+    clearCheckbox(allOrganisms);
+    addCheckbox(allOrganisms, "organisms", setting, organismsList);
+    clearCheckbox(allIsotopes);
+    addCheckbox(allIsotopes, "isotopes", setting, isotopesList);
+    updateList(setting.getOrganisms(), organismsList);
+    updateList(setting.getIsotopes(), isotopesList);
+};
+
+/*
+Run long assessment in chunks showing its progress, assessment buttons are disabled
+until it's finished (setting is copied, so it can be changed meanwhile).
+show gets assessment and returns its results.
+*/
+var runAssessment = function(name, assessment, show) {
+    probabilisticButton.disabled = true;
+    sensitivityButton.disabled = true;
+    timeSeriesButton.disabled = true;
+    assessment.runInChunks(function(finished, total) {
+        showMessage(message, `${name}: ${Math.round(finished / total * 100)} %`);
+    }).then(function() {
+        showMessage(message, "");
+        output.textContent = "";
+        if (assessment.getOrganisms().length) {
+            output.appendChild(show(assessment));
+        }
+        else {
+            output.textContent = "No data";
+        }
+    }, function(error) {
+        showMessage(message, `${name} failed: ${error.message}`, true);
+    }).finally(function() {
+        probabilisticButton.disabled = false;
+        sensitivityButton.disabled = false;
+        timeSeriesButton.disabled = false;
+    });
+};
+
+// Probabilistic assessment
+var probabilisticButton = document.getElementById("probabilistic");
+probabilisticButton.addEventListener("click", function() {
+    var container = showDistributions(appFrame, setting, function(iterations, seed) {
+        runAssessment("Probabilistic assessment", new MonteCarlo(setting.clone(), iterations, seed), function(monteCarlo) {
+            return generateTable("probabilistic", monteCarlo);
+        });
+    });
+    container.className = "input-box";
+});
+
+// Sensitivity analysis
+var sensitivityButton = document.getElementById("sensitivity");
+sensitivityButton.addEventListener("click", function() {
+    var container = showSensitivity(appFrame, function(fraction) {
+        runAssessment("Sensitivity analysis", new Sensitivity(setting.clone(), fraction), generateSensitivity);
+    });
+    container.className = "input-box";
+});
+
+// Time-dependent assessment: dose rates over period and cumulative doses
+var timeSeriesButton = document.getElementById("time-series");
+timeSeriesButton.addEventListener("click", function() {
+    var container = showTimeSeries(appFrame, setting, function(period, step) {
+        var timeSeries = new TimeSeries(setting.clone(), period, step);
+        // Wrong period or step is shown in form before assessment starts
+        timeSeries.getTimes();
+        runAssessment("Time-dependent assessment", timeSeries, function() {
+            return generateTimeSeries(timeSeries, timeSeries.setting.getDoseRateUnit());
+        });
+    });
+    container.className = "input-box";
+});
+
+// Inverse assessment: media concentration limits and sum of fractions
+var limitsButton = document.getElementById("limits");
+limitsButton.addEventListener("click", function() {
+    var inverse = new Inverse(setting);
+    try {
+        inverse.run();
+    }
+    catch (error) {
+        showMessage(message, error.message, true);
+        return;
+    }
+    output.textContent = "";
+    if (inverse.getIsotopes().length && setting.getOrganisms().length) {
+        output.appendChild(generateTable("limits", inverse));
+        output.appendChild(generateTable("fractions", inverse));
+    }
+    else {
+        output.textContent = "No data";
+    }
+});
+
+// Batch assessment for sites and dates from CSV
+var batchInput = document.getElementById("batch");
+batchInput.addEventListener("change", function() {
+    var file = this.files[0];
+    var reader = new FileReader();
+    reader.onload = function() {
+        var batch = new Batch(setting);
+        try {
+            batch.parse(this.result);
+            batch.run();
+        }
+        catch (error) {
+            showMessage(message, `Can't assess ${file.name}: ${error.message}`, true);
+            return;
+        }
+        showMessage(message, `Activity concentrations loaded from ${file.name}`);
+        output.textContent = "";
+        if (batch.getLabels().length && batch.getOrganisms().length) {
+            output.appendChild(generateTable("batch", batch));
+        }
+        else {
+            output.textContent = "No data";
+        }
+    };
+    reader.readAsText(file);
+    this.value = "";
+});
+
+// Show result table for chosen dose rates contribution
+var viewSelector = document.getElementById("view");
+
+var showResult = function() {
+    var table = generateTable("output", result, viewSelector.value);
+    output.textContent = "";
+    if (table.tHead.textContent) {
+        output.appendChild(table);
+        output.appendChild(generateTable("quotients", result));
+        output.appendChild(generateDcrl(result));
+        output.appendChild(generateCharts(result));
     }
     else {
-        console.log("Waiting for ERICA");
+        output.textContent = "No data";
+    }
+    output.appendChild(generateOrigins(result));
+};
+
+viewSelector.addEventListener("change", showResult);
+
+// Dose rate units for output
+var doseRateUnitSelector = document.getElementById("dose-rate-unit");
+for (var unit in doseRateUnits) {
+    doseRateUnitSelector.add(new Option(unit));
+}
+doseRateUnitSelector.addEventListener("change", function(e) {
+    setting.setDoseRateUnit(e.target.value);
+    if (result) {
+        result.setDoseRateUnit(e.target.value);
+        resultSetting.setDoseRateUnit(e.target.value);
+        showResult();
     }
-}, 500);
+});
 
 // Calculate button
 var calculateButton = document.getElementById("calculate");
 calculateButton.addEventListener("click", function() {
     result = new Result(setting);
     result.calculate();
-    
-    var table = generateTable("output", result);
-    if (output.childElementCount) {
-        output.removeChild(output.children[0]);
+    resultSetting = setting.clone();
+
+    // Keep chosen view if it's available for new result
+    var view = viewSelector.value;
+    viewSelector.textContent = "";
+    for (var option of result.getBreakdownViews()) {
+        viewSelector.add(new Option(option));
     }
-    else {
+    viewSelector.value = result.getBreakdownViews().includes(view) ? view : "Total";
+    viewSelector.disabled = false;
+
+    showResult();
+    saveResultsButton.disabled = false;
+    reportButton.disabled = false;
+    saveScenarios();
+});
+
+// Save results as CSV
+var saveResultsButton = document.getElementById("save-results");
+saveResultsButton.addEventListener("click", function() {
+    downloadFile(result.toCSV(), "hydra-results.csv", "text/csv");
+});
+
+// Save and load setting
+var message = document.getElementById("message");
+
+// Open assessment report in new window (it can be printed or saved as PDF from there)
+var reportButton = document.getElementById("report");
+reportButton.addEventListener("click", function() {
+    var reportWindow = window.open("", "_blank");
+    if (!reportWindow) {
+        showMessage(message, "Report window is blocked by browser, allow pop-ups for this page", true);
+        return;
+    }
+    var report = new Report(resultSetting, result);
+    var stylesheet = new URL("css/report.css", document.baseURI).href;
+    reportWindow.document.write(report.toHTML(stylesheet));
+    reportWindow.document.close();
+});
+
+var saveSettingButton = document.getElementById("save-setting");
+saveSettingButton.addEventListener("click", function() {
+    downloadFile(setting.stringify(), "hydra-setting.json", "application/json");
+});
+
+// Put setting into page's URL, so the link reproduces assessment
+var shareSettingButton = document.getElementById("share-setting");
+shareSettingButton.addEventListener("click", function() {
+    var url = new URL(location.href);
+    url.hash = setting.toURLFragment();
+    // Replaced URL doesn't fire hashchange, so setting isn't loaded again
+    history.replaceState(null, "", url.href);
+    var text = "Link to this setting is in the address bar";
+    if (!navigator.clipboard) {
+        showMessage(message, text);
+        return;
+    }
+    navigator.clipboard.writeText(url.href).then(function() {
+        showMessage(message, `${text} and copied to clipboard`);
+    }, function() {
+        showMessage(message, text);
+    });
+});
+
+// Restore setting from link (see Setting.fromURLFragment)
+var loadSettingFromLink = function() {
+    if (!location.hash.startsWith("#setting=")) {
+        return;
+    }
+    try {
+        var shared = Setting.fromURLFragment(location.hash);
+        // Shared setting doesn't replace user's scenarios, the same setting isn't added twice
+        var name = scenarios.findSetting(shared.setting);
+        if (!name) {
+            name = scenarios.getNewName("Shared");
+            scenarios.set(name, shared.setting);
+        }
+        switchScenario(name);
+        var unknown = shared.unknown.isotopes.concat(shared.unknown.organisms);
+        if (unknown.length) {
+            showMessage(message, `Setting loaded from link without items missing in ERICA's data: ${unknown.join(", ")}`, true);
+        }
+        else {
+            showMessage(message, "Setting loaded from link");
+        }
+    }
+    catch (error) {
+        showMessage(message, `Can't load setting from link: ${error.message}`, true);
+    }
+    // Setting is loaded once, reloaded page doesn't load it again
+    history.replaceState(null, "", location.pathname + location.search);
+};
+
+var loadSettingInput = document.getElementById("load-setting");
+loadSettingInput.addEventListener("change", function() {
+    var file = this.files[0];
+    var reader = new FileReader();
+    reader.onload = function() {
+        try {
+            setting = Setting.parse(this.result);
+            showSetting();
+            saveScenarios();
+            showMessage(message, `Setting loaded from ${file.name}`);
+        }
+        catch (error) {
+            showMessage(message, `Can't load ${file.name}: ${error.message}`, true);
+        }
+    };
+    reader.readAsText(file);
+
+    // Allow to load the same file again
+    this.value = "";
+});
+
+
+
+// Named scenarios, each has its own setting (see Scenarios), kept in browser's storage
+var scenarios;
+var scenarioSelector = document.getElementById("scenario");
+var newScenarioButton = document.getElementById("new-scenario");
+var cloneScenarioButton = document.getElementById("clone-scenario");
+var renameScenarioButton = document.getElementById("rename-scenario");
+var deleteScenarioButton = document.getElementById("delete-scenario");
+var compareScenariosButton = document.getElementById("compare-scenarios");
+
+var showScenarios = function() {
+    scenarioSelector.textContent = "";
+    for (var scenarioName of scenarios.getNames()) {
+        scenarioSelector.add(new Option(scenarioName));
+    }
+    scenarioSelector.value = scenarios.getActive();
+    deleteScenarioButton.disabled = scenarios.getNames().length === 1;
+};
+
+// Storage can be unavailable (e.g. disabled by browser), scenarios live until page is closed then
+var saveScenarios = function() {
+    scenarios.set(scenarios.getActive(), setting);
+    try {
+        scenarios.save(localStorage);
+    }
+    catch (error) {
+        showMessage(message, `Can't save scenarios: ${error.message}`, true);
+    }
+};
+
+// Results belong to scenario they are calculated for
+var clearResult = function() {
+    result = undefined;
+    resultSetting = undefined;
+    output.textContent = "";
+    viewSelector.disabled = true;
+    saveResultsButton.disabled = true;
+    reportButton.disabled = true;
+};
+
+var switchScenario = function(name) {
+    scenarios.set(scenarios.getActive(), setting);
+    scenarios.setActive(name);
+    setting = scenarios.get(name);
+    showSetting();
+    showScenarios();
+    clearResult();
+    saveScenarios();
+};
+
+scenarioSelector.addEventListener("change", function(e) {
+    switchScenario(e.target.value);
+});
+
+// Ask for scenario name, null is returned if user cancels
+var askScenarioName = function(text, value) {
+    var name = prompt(text, value);
+    return name === null ? null : name.trim();
+};
+
+newScenarioButton.addEventListener("click", function() {
+    var name = askScenarioName("New scenario name", scenarios.getNewName());
+    if (name === null) {
+        return;
+    }
+    try {
+        scenarios.set(name, new Setting());
+    }
+    catch (error) {
+        showMessage(message, error.message, true);
+        return;
+    }
+    switchScenario(name);
+});
+
+cloneScenarioButton.addEventListener("click", function() {
+    var active = scenarios.getActive();
+    var name = askScenarioName(`Name for copy of ${active}`, scenarios.getNewName(`${active} copy`));
+    if (name === null) {
+        return;
+    }
+    try {
+        scenarios.set(active, setting);
+        scenarios.clone(active, name);
+    }
+    catch (error) {
+        showMessage(message, error.message, true);
+        return;
+    }
+    switchScenario(name);
+});
+
+renameScenarioButton.addEventListener("click", function() {
+    var active = scenarios.getActive();
+    var name = askScenarioName(`New name for ${active}`, active);
+    if (name === null) {
+        return;
+    }
+    try {
+        scenarios.rename(active, name);
+    }
+    catch (error) {
+        showMessage(message, error.message, true);
+        return;
+    }
+    showScenarios();
+    saveScenarios();
+});
+
+deleteScenarioButton.addEventListener("click", function() {
+    var active = scenarios.getActive();
+    if (!confirm(`Delete scenario ${active}?`)) {
+        return;
+    }
+    scenarios.delete(active);
+    setting = scenarios.get(scenarios.getActive());
+    showSetting();
+    showScenarios();
+    clearResult();
+    saveScenarios();
+});
+
+// Compare total dose rates of chosen scenarios, differences are from the first one
+compareScenariosButton.addEventListener("click", function() {
+    scenarios.set(scenarios.getActive(), setting);
+    var container = showComparison(appFrame, scenarios.getNames(), scenarios.getActive(), function(names) {
+        var settings = {};
+        for (var scenarioName of names) {
+            settings[scenarioName] = scenarios.get(scenarioName);
+        }
+        var comparison = Comparison.fromSettings(settings);
         output.textContent = "";
+        if (comparison.getOrganisms().length) {
+            output.appendChild(generateComparison(comparison, setting.getDoseRateUnit()));
+        }
+        else {
+            output.textContent = "No data";
+        }
+    });
+    container.className = "input-box";
+});
+
+// Forms change setting in place, so scenarios are saved when page is left
+window.addEventListener("pagehide", function() {
+    if (scenarios) {
+        saveScenarios();
     }
-    if (table.tHead.textContent) {
-        output.appendChild(table);
+});
+
+var loadScenarios = function() {
+    try {
+        scenarios = Scenarios.load(localStorage);
     }
-    else {
-        output.textContent = "No data";
+    catch (error) {
+        scenarios = new Scenarios();
     }
+    setting = scenarios.get(scenarios.getActive());
+    if (scenarios.errors.length) {
+        showMessage(message, `Some scenarios can't be loaded (they are kept in storage): ${scenarios.errors.join("; ")}`, true);
+    }
+};
+
+
+// Load ERICA's data, controls depending on them are enabled after loading
+var ericaStatus = document.getElementById("erica-status");
+var ericaRetryButton = document.getElementById("erica-retry");
+
+ericaEvents.addEventListener("progress", function(e) {
+    var text = "Loading ERICA's data";
+    if (e.detail.stage === "database" && e.detail.total) {
+        text += `: ${Math.round(e.detail.loaded / e.detail.total * 100)} %`;
+    }
+    showMessage(ericaStatus, text);
 });
+
+ericaEvents.addEventListener("error", function(e) {
+    showMessage(ericaStatus, `Can't load ERICA's data: ${e.detail.message}`, true);
+    ericaRetryButton.hidden = false;
+});
+
+var startErica = function() {
+    ericaRetryButton.hidden = true;
+    loadErica().then(function() {
+        showMessage(ericaStatus, "");
+        showEcosystems();
+        loadScenarios();
+        showSetting();
+        for (var control of [ecosystemSelector, loadSettingInput, batchInput, calculateButton,
+            probabilisticButton, sensitivityButton, timeSeriesButton, limitsButton, shareSettingButton,
+            dcrlParameters, radionuclideParameters, customOrganisms, scenarioSelector, newScenarioButton, cloneScenarioButton, renameScenarioButton,
+            compareScenariosButton]) {
+            control.disabled = false;
+        }
+        showScenarios();
+        loadSettingFromLink();
+        window.addEventListener("hashchange", loadSettingFromLink);
+    }, function() {
+        // Error is shown by "error" event handler
+    });
+};
+
+ericaRetryButton.addEventListener("click", startErica);
+startErica();
@@ -0,0 +1,302 @@
+/*
+
+Probabilistic assessment (Monte Carlo method) for HYDRA.
+
+Parameters of setting are sampled from probability distributions
+and dose rates are calculated for each sample.
+
+*/
+
+// Get engine in Node (in browser scripts share globals)
+if (typeof module !== "undefined" && module.exports) {
+    var hydra = require("./hydra.js");
+    var Setting = hydra.Setting;
+    var Result = hydra.Result;
+    var runInChunks = hydra.runInChunks;
+}
+
+/*
+Seedable pseudorandom number generator (mulberry32)
+Returns function giving floats in [0, 1).
+*/
+var createRandom = function(seed) {
+    var state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Standard normal variate (Box-Muller transform)
+var sampleStandardNormal = function(random) {
+    var u = 1 - random();
+    var v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/*
+Probability distributions
+Parameters are given as array in order of parameter names.
+Lognormal distribution needs GSD not less than 1,
+minimum, mode and maximum must be in ascending order.
+Negative values of normal distribution are replaced by zero.
+*/
+var distributions = {
+    "lognormal": {
+        parameters: ["GM", "GSD"],
+        isValid: function(values) {
+            return values[0] > 0 && values[1] >= 1;
+        },
+        sample: function(values, random) {
+            return values[0] * Math.pow(values[1], sampleStandardNormal(random));
+        }
+    },
+    "normal": {
+        parameters: ["Mean", "SD"],
+        isValid: function(values) {
+            return values[1] >= 0;
+        },
+        sample: function(values, random) {
+            return Math.max(0, values[0] + values[1] * sampleStandardNormal(random));
+        }
+    },
+    "uniform": {
+        parameters: ["Min", "Max"],
+        isValid: function(values) {
+            return values[0] <= values[1];
+        },
+        sample: function(values, random) {
+            return values[0] + (values[1] - values[0]) * random();
+        }
+    },
+    "triangular": {
+        parameters: ["Min", "Mode", "Max"],
+        isValid: function(values) {
+            return values[0] <= values[1] && values[1] <= values[2] && values[0] < values[2];
+        },
+        sample: function(values, random) {
+            var min = values[0];
+            var mode = values[1];
+            var max = values[2];
+            var u = random();
+            var split = (mode - min) / (max - min);
+            if (u < split) {
+                return min + Math.sqrt(u * (max - min) * (mode - min));
+            }
+            return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+        }
+    }
+};
+
+// Setting's setters for parameters which can be sampled (named as input forms)
+var distributionSetters = {
+    "isotopes": Setting.prototype.setActivityConcentration,
+    "organisms": Setting.prototype.setOccupancyFactor,
+    "CRs": Setting.prototype.setConcentrationRatio,
+    "Kds": Setting.prototype.setDistributionCoefficient
+};
+
+/*
+Set, get and delete distributions of setting's parameters
+parameter must be "isotopes" (activity concentration of isotope in object),
+"organisms" (occupancy factor of organism in habitat object),
+"CRs" (CR of nuclide for organism object) or "Kds" (Kd of nuclide, object isn't used).
+distribution is an object {type: "lognormal", parameters: [GM, GSD]}.
+*/
+Setting.prototype.setDistribution = function(parameter, key, object, distribution) {
+    var type = distributions[distribution.type];
+    if (!type) {
+        throw new Error(`Unknown distribution ${distribution.type}`);
+    }
+    if (distribution.parameters.length !== type.parameters.length ||
+        distribution.parameters.some(function(value) {
+            return isNaN(value) || value === null;
+        })) {
+        throw new Error(`${distribution.type} distribution needs ${type.parameters.join(", ")}`);
+    }
+    if (!type.isValid(distribution.parameters)) {
+        throw new Error(`Wrong parameters of ${distribution.type} distribution`);
+    }
+    if (!this.distributions[parameter]) {
+        this.distributions[parameter] = {};
+    }
+    if (!this.distributions[parameter][key]) {
+        this.distributions[parameter][key] = {};
+    }
+    this.distributions[parameter][key][object || ""] = distribution;
+};
+
+Setting.prototype.getDistribution = function(parameter, key, object) {
+    if (!this.distributions[parameter] || !this.distributions[parameter][key]) {
+        return undefined;
+    }
+    return this.distributions[parameter][key][object || ""];
+};
+
+Setting.prototype.deleteDistribution = function(parameter, key, object) {
+    if (this.getDistribution(parameter, key, object)) {
+        delete this.distributions[parameter][key][object || ""];
+    }
+};
+
+// Get all distributions as list of [parameter, key, object, distribution]
+Setting.prototype.getDistributions = function() {
+    var list = [];
+    for (var parameter in this.distributions) {
+        for (var key in this.distributions[parameter]) {
+            for (var object in this.distributions[parameter][key]) {
+                list.push([parameter, key, object, this.distributions[parameter][key][object]]);
+            }
+        }
+    }
+    return list;
+};
+
+
+// Monte Carlo assessment
+// Number of sampling attempts before distribution is considered wrong
+var maxSamplingAttempts = 1000;
+
+// Number of iterations is limited, every iteration is full calculation
+var maxIterations = 10000;
+
+var MonteCarlo = function(setting, iterations=1000, seed=1) {
+    this.setting = setting;
+    this.iterations = iterations;
+    this.seed = seed;
+};
+
+// Prepare sampling before first iteration
+MonteCarlo.prototype.start = function() {
+    if (!(Number.isInteger(this.iterations) && this.iterations > 0)) {
+        throw new Error("Number of iterations must be positive integer");
+    }
+    if (this.iterations > maxIterations) {
+        throw new Error(`Too many iterations (${this.iterations}), ${maxIterations} at most`);
+    }
+    this.random = createRandom(this.seed);
+    this.list = this.setting.getDistributions();
+    this.samples = {};
+};
+
+// Calculate dose rates for one sampled setting
+MonteCarlo.prototype.iterate = function() {
+    var sampled = this.setting.clone();
+    for (var item of this.list) {
+        this.sample(sampled, item, this.random);
+    }
+
+    var result = new Result(sampled);
+    result.calculate();
+    for (var organism of result.getOrganisms()) {
+        if (!this.samples[organism]) {
+            this.samples[organism] = [];
+        }
+        this.samples[organism].push(result.getOrganismTotalDoseRate(organism));
+    }
+};
+
+// Calculate dose rates for sampled settings
+MonteCarlo.prototype.run = function() {
+    this.start();
+    for (var i = 0; i < this.iterations; i++) {
+        this.iterate();
+    }
+    this.getStatistics();
+};
+
+/*
+Run iterations in chunks giving control back to browser between them,
+onProgress is called with numbers of finished and all iterations.
+Returns promise resolved when statistics are ready.
+*/
+MonteCarlo.prototype.runInChunks = function(onProgress) {
+    return Promise.resolve().then(function() {
+        this.start();
+        return runInChunks(this.iterations, this.iterate.bind(this), onProgress);
+    }.bind(this)).then(function() {
+        this.getStatistics();
+    }.bind(this));
+};
+
+/*
+Sample parameter's value and set it to setting.
+Values breaking parameter's rules (e.g. occupancy factor more than 1)
+are sampled again, so distributions are truncated.
+*/
+MonteCarlo.prototype.sample = function(setting, item, random) {
+    var distribution = item[3];
+    for (var attempt = 0; attempt < maxSamplingAttempts; attempt++) {
+        var value = distributions[distribution.type].sample(distribution.parameters, random);
+        try {
+            distributionSetters[item[0]].call(setting, item[1], item[2], value);
+            return;
+        }
+        catch (error) {
+            var lastError = error;
+        }
+    }
+    throw new Error(`Can't sample valid value from ${distribution.type} distribution: ${lastError.message}`);
+};
+
+// Get value of sorted array for probability p (with linear interpolation)
+var getPercentile = function(sorted, p) {
+    var position = (sorted.length - 1) * p;
+    var lower = Math.floor(position);
+    var upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Summary statistics of organisms total dose rates
+MonteCarlo.prototype.getStatistics = function() {
+    var screening = this.setting.screeningDoseRate;
+    this.statistics = {};
+    for (var organism in this.samples) {
+        var values = this.samples[organism].filter(function(value) {
+            return !isNaN(value);
+        });
+        if (!values.length) {
+            continue;
+        }
+        var sorted = values.slice().sort(function(a, b) {
+            return a - b;
+        });
+        this.statistics[organism] = {
+            "Mean": values.reduce(function(sum, value) {
+                return sum + value;
+            }, 0) / values.length,
+            "Median": getPercentile(sorted, 0.5),
+            "5th percentile": getPercentile(sorted, 0.05),
+            "95th percentile": getPercentile(sorted, 0.95),
+            "P(exceeding screening)": values.filter(function(value) {
+                return value > screening;
+            }).length / values.length
+        };
+    }
+};
+
+MonteCarlo.prototype.getStatisticNames = function() {
+    return ["Mean", "Median", "5th percentile", "95th percentile", "P(exceeding screening)"];
+};
+
+MonteCarlo.prototype.getOrganisms = function() {
+    return Object.keys(this.statistics);
+};
+
+MonteCarlo.prototype.getStatistic = function(organism, statistic) {
+    return this.statistics[organism][statistic];
+};
+
+
+// Export for Node
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        distributions: distributions,
+        createRandom: createRandom,
+        maxIterations: maxIterations,
+        MonteCarlo: MonteCarlo
+    };
+}
@@ -0,0 +1,341 @@
+/*
+
+Assessment report for HYDRA.
+
+Report is standalone HTML document with setup, parameters entered by user,
+parameters used in calculations (with ERICA's defaults and derived values),
+results and versions of HYDRA and ERICA's data. It's styled for printing
+(see css/report.css), so it can be saved as PDF from browser.
+
+*/
+
+// Get engine in Node (in browser scripts share globals)
+if (typeof module !== "undefined" && module.exports) {
+    var hydra = require("./hydra.js");
+    var hydraVersion = hydra.hydraVersion;
+    var ericaVersion = hydra.ericaVersion;
+    var convertDoseRate = hydra.convertDoseRate;
+    var parameterNames = hydra.parameterNames;
+    var originNames = hydra.originNames;
+}
+
+// Escape text for HTML
+var escapeHTML = function(text) {
+    return String(text).replace(/[&<>"]/g, function(char) {
+        return {"&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;"}[char];
+    });
+};
+
+// Format number for report, empty cells are used for missing values
+var formatNumber = function(value, missing="") {
+    if (value === undefined || value === null || Number.isNaN(value)) {
+        return missing;
+    }
+    return value.toExponential(3);
+};
+
+// Entered values are shown as they are
+var formatEntered = function(value) {
+    return value === undefined || value === null || Number.isNaN(value) ? "" : String(value);
+};
+
+/*
+Make HTML table, rows are arrays of cells.
+The first cell of each row is its header, cell can be text
+or object {text, className}.
+*/
+var makeHTMLTable = function(caption, headers, rows, footer) {
+    var makeRow = function(cells, isHeader) {
+        return "<tr>" + cells.map(function(cell, index) {
+            var tag = isHeader || index === 0 ? "th" : "td";
+            var text = cell !== null && typeof cell === "object" ? cell.text : cell;
+            var className = cell !== null && typeof cell === "object" && cell.className ?
+                ` class="${cell.className}"` : "";
+            return `<${tag}${className}>${escapeHTML(text)}</${tag}>`;
+        }).join("") + "</tr>";
+    };
+    var html = ["<table>", `<caption>${escapeHTML(caption)}</caption>`];
+    html.push(`<thead>${makeRow(headers, true)}</thead>`);
+    html.push("<tbody>" + rows.map(function(row) {
+        return makeRow(row, false);
+    }).join("\n") + "</tbody>");
+    if (footer) {
+        html.push(`<tfoot>${makeRow(footer, false)}</tfoot>`);
+    }
+    html.push("</table>");
+    return html.join("\n");
+};
+
+/*
+Report for setting and its calculated result.
+setting must be the one result was calculated for (result's values are filled).
+date is time of report (now by default).
+*/
+var Report = function(setting, result, date=new Date()) {
+    this.setting = setting;
+    this.result = result;
+    this.date = date;
+};
+
+// Ecosystem, organisms, isotopes and decay options
+Report.prototype.getSetup = function() {
+    var setting = this.setting;
+    var progeny = setting.getProgeny();
+    var rows = [
+        ["Ecosystem", setting.getEcosystem()],
+        ["Organisms", setting.getOrganisms().join(", ")],
+        ["Isotopes", setting.getIsotopes().join(", ")],
+        ["Custom radionuclides (not ERICA's)", setting.getCustomIsotopes().filter(function(isotope) {
+            return setting.getIsotopes().includes(isotope);
+        }).join(", ") || "none"],
+        ["Custom organisms (not ERICA's)", setting.getCustomOrganisms().filter(function(organism) {
+            return setting.getOrganisms().includes(organism);
+        }).map(function(organism) {
+            var definition = setting.getCustomOrganism(organism);
+            return `${organism} (${definition.mass} kg, ${definition.dimensions.join(" × ")} m, ` +
+                `CRs of ${definition.surrogate})`;
+        }).join(", ") || "none"],
+        ["Reference date", setting.getReferenceDate() || "not set (no decay correction)"],
+        ["Progeny", progeny.mode + (progeny.mode === "ingrowth" ? `, ${progeny.time} days` : "")],
+        ["Dose rate units", setting.getDoseRateUnit()]
+    ];
+    return makeHTMLTable("Assessment setup", ["Item", "Value"], rows);
+};
+
+// Parameters as entered by user, empty cells are filled in calculations
+Report.prototype.getInputs = function() {
+    var setting = this.setting;
+    var organisms = setting.getOrganisms();
+    var isotopes = setting.getIsotopes();
+    var nuclides = Array.from(new Set(setting.getNuclides()));
+    var tables = [];
+
+    var objects = setting.media.concat(organisms);
+    tables.push(makeHTMLTable(
+        "Activity concentrations",
+        ["Isotope"].concat(objects.map(function(object) {
+            return `${object}, ${setting.getActivityUnit(object)}`;
+        })).concat(["Sampling date"]),
+        isotopes.map(function(isotope) {
+            var activity = setting.activityConcentrations[isotope] || {};
+            return [isotope].concat(objects.map(function(object) {
+                return formatEntered(activity[object]);
+            })).concat([setting.getSamplingDate(isotope) || ""]);
+        })
+    ));
+
+    var habitats = Object.keys(setting.habitats);
+    tables.push(makeHTMLTable(
+        "Occupancy factors",
+        ["Organism"].concat(habitats),
+        organisms.map(function(organism) {
+            var factors = setting.occupancyFactors[organism] || {};
+            return [organism].concat(habitats.map(function(habitat) {
+                return formatEntered(factors[habitat]);
+            }));
+        })
+    ));
+
+    tables.push(makeHTMLTable(
+        "Concentration ratios",
+        ["Nuclide"].concat(organisms),
+        nuclides.map(function(nuclide) {
+            var ratios = setting.concentrationRatios[nuclide] || {};
+            return [nuclide].concat(organisms.map(function(organism) {
+                return formatEntered(ratios[organism]);
+            }));
+        })
+    ));
+
+    var rows = [];
+    if (setting.media.includes("Sediment")) {
+        tables.push(makeHTMLTable(
+            "Distribution coefficients",
+            ["Nuclide", "Kd, L/kg"],
+            nuclides.map(function(nuclide) {
+                return [nuclide, formatEntered(setting.distributionCoefficients[nuclide])];
+            })
+        ));
+        rows.push(["Percentage dry weight for sediment", String(setting.getPercentageDryWeight())]);
+    }
+    ["Alpha", "Beta/gamma", "Low Beta"].forEach(function(type) {
+        rows.push([`${type} radiation weighting factor`, String(setting.getRadiationWeightingFactor(type, ""))]);
+    });
+    rows.push(["Screening dose rate, µGy/h", String(setting.getRiskParameter("Screening dose rate", ""))]);
+    rows.push(["Uncertainty factor", String(setting.getRiskParameter("Uncertainty factor", ""))]);
+    tables.push(makeHTMLTable("Other parameters", ["Parameter", "Value"], rows));
+
+    return tables.join("\n");
+};
+
+// Parameters used in calculations with their origins (see Result.getParameterOrigins)
+Report.prototype.getParameters = function() {
+    var rows = this.result.getParameterOrigins().map(function(item) {
+        var value = Array.isArray(item.value) ?
+            item.value.map(function(number) {
+                return formatNumber(number);
+            }).join(" ") :
+            formatNumber(item.value);
+        return [
+            parameterNames[item.parameter],
+            item.key,
+            item.object,
+            value,
+            {text: originNames[item.origin], className: `origin-${item.origin}`},
+            item.note
+        ];
+    });
+    return makeHTMLTable(
+        "Parameters used in calculations",
+        ["Parameter", "Isotope, nuclide or organism", "Object", "Value", "Origin", "Note"],
+        rows
+    );
+};
+
+// Isotopes and organisms excluded from calculations
+Report.prototype.getSkipped = function() {
+    var skipped = this.result.getSkipped();
+    var rows = [];
+    for (var type in skipped) {
+        for (var item of skipped[type]) {
+            rows.push([item.name, type === "isotopes" ? "Isotope" : "Organism", item.reason]);
+        }
+    }
+    if (!rows.length) {
+        return "<p>All selected isotopes and organisms are included.</p>";
+    }
+    return makeHTMLTable("Skipped isotopes and organisms", ["Name", "Type", "Reason"], rows);
+};
+
+// Dose rates, risk quotients and breakdown of organisms total dose rates
+Report.prototype.getResults = function() {
+    var result = this.result;
+    var unit = result.getDoseRateUnit();
+    var organisms = result.getOrganisms();
+    var convert = function(value) {
+        return formatNumber(convertDoseRate(value, unit), "No data");
+    };
+    var verdictCell = function(riskQuotient) {
+        var verdict = result.getRiskVerdict(riskQuotient);
+        return {
+            text: formatNumber(riskQuotient, "No data") + (verdict ? ` (${verdict})` : ""),
+            className: verdict ? verdict.replace(/ /g, "-") : ""
+        };
+    };
+    // Custom radionuclides are flagged as non-standard
+    var isotopeName = function(isotope) {
+        return result.isCustomIsotope(isotope) ? `${isotope} (custom)` : isotope;
+    };
+    var tables = [];
+
+    tables.push(makeHTMLTable(
+        `Total dose rates, ${unit}`,
+        ["Isotope"].concat(organisms),
+        result.getIsotopes().map(function(isotope) {
+            return [isotopeName(isotope)].concat(organisms.map(function(organism) {
+                return convert(result.getTotalDoseRate(isotope, organism));
+            }));
+        }),
+        ["Total"].concat(organisms.map(function(organism) {
+            return convert(result.getOrganismTotalDoseRate(organism));
+        }))
+    ));
+
+    tables.push(makeHTMLTable(
+        `Risk quotients (screening dose rate ${result.screeningDoseRate} µGy/h, ` +
+            `uncertainty factor ${result.uncertaintyFactor})`,
+        ["Isotope"].concat(organisms),
+        result.getIsotopes().map(function(isotope) {
+            return [isotopeName(isotope)].concat(organisms.map(function(organism) {
+                return verdictCell(result.getRiskQuotient(isotope, organism));
+            }));
+        }),
+        ["Total"].concat(organisms.map(function(organism) {
+            return verdictCell(result.getOrganismRiskQuotient(organism));
+        }))
+    ));
+
+    tables.push(makeHTMLTable(
+        `Comparison with ICRP Derived Consideration Reference Levels, ${unit}`,
+        ["Organism", "Reference Animal or Plant", "DCRL band minimum", "DCRL band maximum",
+            "Total dose rate", "Comparison"],
+        organisms.map(function(organism) {
+            var band = result.getDcrlBand(organism) || {rap: "No data"};
+            var verdict = result.getDcrlVerdict(organism);
+            return [
+                organism,
+                band.rap,
+                formatNumber(convertDoseRate(band.min, unit)),
+                formatNumber(convertDoseRate(band.max, unit)),
+                convert(result.getOrganismTotalDoseRate(organism)),
+                {text: verdict ? `${verdict} band` : "", className: verdict ? `dcrl-${verdict}` : ""}
+            ];
+        })
+    ));
+
+    tables.push(makeHTMLTable(
+        `Organisms total dose rates by contributions, ${unit}`,
+        ["Contribution"].concat(organisms),
+        result.getBreakdownViews().map(function(view) {
+            return [view].concat(organisms.map(function(organism) {
+                return convert(result.getOrganismBreakdownDoseRate(view, organism));
+            }));
+        })
+    ));
+
+    return tables.join("\n");
+};
+
+/*
+Make report as HTML document.
+stylesheet is URL of report's stylesheet (css/report.css), style is CSS text
+embedded into document (for files which must be viewed without HYDRA's files).
+*/
+Report.prototype.toHTML = function(stylesheet="css/report.css", style="") {
+    var timestamp = this.date.toISOString().replace("T", " ").replace(/\.\d+Z$/, " UTC");
+    var head = [
+        "<meta charset=\"utf-8\">",
+        "<title>HYDRA assessment report</title>"
+    ];
+    if (style) {
+        head.push(`<style>\n${style}\n</style>`);
+    }
+    else {
+        head.push(`<link rel="stylesheet" href="${escapeHTML(stylesheet)}">`);
+    }
+
+    var sections = [
+        ["Setup", this.getSetup()],
+        ["Entered parameters", "<p>Empty cells are filled in calculations (see the next section).</p>\n" +
+            this.getInputs()],
+        ["Parameters used in calculations", this.getSkipped() + "\n" + this.getParameters()],
+        ["Results", this.getResults()]
+    ];
+
+    return [
+        "<!DOCTYPE html>",
+        "<html lang=\"en\">",
+        "<head>",
+        head.join("\n"),
+        "</head>",
+        "<body>",
+        "<header>",
+        "<h1>HYDRA dose rate assessment report</h1>",
+        `<p>Generated ${escapeHTML(timestamp)} with HYDRA ${hydraVersion} ` +
+            `using data of ERICA Tool ${ericaVersion}.</p>`,
+        "</header>",
+        sections.map(function(section) {
+            return `<section>\n<h2>${escapeHTML(section[0])}</h2>\n${section[1]}\n</section>`;
+        }).join("\n"),
+        "</body>",
+        "</html>"
+    ].join("\n");
+};
+
+
+// Export for Node
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        Report: Report
+    };
+}
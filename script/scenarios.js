@@ -0,0 +1,277 @@
+/*
+
+Named scenarios and their comparison for HYDRA.
+
+Each scenario has its own setting, scenarios are kept in browser's local storage
+(or other storage with getItem and setItem methods).
+Comparison shows total dose rates of scenarios' results side by side
+with differences from the first (base) scenario.
+
+*/
+
+// Get engine in Node (in browser scripts share globals)
+if (typeof module !== "undefined" && module.exports) {
+    var hydra = require("./hydra.js");
+    var Setting = hydra.Setting;
+    var Result = hydra.Result;
+}
+
+var scenariosStorageKey = "hydra-scenarios";
+var scenariosVersion = 1;
+
+// Scenarios start with one empty scenario
+var Scenarios = function(dataset) {
+    this.dataset = dataset;
+    this.settings = {};
+    this.settings["Scenario 1"] = new Setting(dataset);
+    this.active = "Scenario 1";
+    this.errors = [];
+    this.unloaded = [];
+};
+
+Scenarios.prototype.getNames = function() {
+    return Object.keys(this.settings);
+};
+
+Scenarios.prototype.get = function(name) {
+    return this.settings[name];
+};
+
+// Check if name is used by scenario (including scenarios which can't be loaded)
+Scenarios.prototype.hasName = function(name) {
+    return Boolean(this.settings[name]) || this.unloaded.some(function(item) {
+        return item.name === name;
+    });
+};
+
+// Name must be non-empty and unique
+Scenarios.prototype.checkName = function(name) {
+    if (!name || !name.trim()) {
+        throw new Error("Scenario name is empty");
+    }
+    if (this.hasName(name)) {
+        throw new Error(`Scenario ${name} already exists`);
+    }
+};
+
+// Get unused name like "Scenario 2" for new scenario
+Scenarios.prototype.getNewName = function(prefix="Scenario") {
+    var number = 1;
+    while (this.hasName(`${prefix} ${number}`)) {
+        number++;
+    }
+    return `${prefix} ${number}`;
+};
+
+// Get name of scenario with the same setting (undefined if there is no such scenario)
+Scenarios.prototype.findSetting = function(setting) {
+    var text = setting.stringify();
+    return this.getNames().find(function(name) {
+        return this.settings[name].stringify() === text;
+    }, this);
+};
+
+// Add new scenario or replace setting of existing one
+Scenarios.prototype.set = function(name, setting) {
+    if (!this.settings[name]) {
+        this.checkName(name);
+    }
+    this.settings[name] = setting;
+};
+
+Scenarios.prototype.clone = function(name, newName) {
+    this.checkName(newName);
+    this.settings[newName] = this.settings[name].clone();
+};
+
+// Rename scenario keeping its place in list
+Scenarios.prototype.rename = function(name, newName) {
+    if (name === newName) {
+        return;
+    }
+    this.checkName(newName);
+    var settings = {};
+    for (var other in this.settings) {
+        settings[other === name ? newName : other] = this.settings[other];
+    }
+    this.settings = settings;
+    if (this.active === name) {
+        this.active = newName;
+    }
+};
+
+// Delete scenario (the last one can't be deleted), the first one becomes active
+Scenarios.prototype.delete = function(name) {
+    if (this.getNames().length === 1) {
+        throw new Error("The last scenario can't be deleted");
+    }
+    delete this.settings[name];
+    if (this.active === name) {
+        this.active = this.getNames()[0];
+    }
+};
+
+Scenarios.prototype.setActive = function(name) {
+    if (!this.settings[name]) {
+        throw new Error(`Unknown scenario ${name}`);
+    }
+    this.active = name;
+};
+
+Scenarios.prototype.getActive = function() {
+    return this.active;
+};
+
+// Scenarios which can't be loaded are kept as they are
+Scenarios.prototype.toObject = function() {
+    var scenarios = [];
+    for (var name in this.settings) {
+        scenarios.push({name: name, setting: this.settings[name].toObject()});
+    }
+    return {version: scenariosVersion, active: this.active, scenarios: scenarios.concat(this.unloaded)};
+};
+
+/*
+Create scenarios from object.
+Scenarios which settings can't be loaded (e.g. with isotopes missing in dataset)
+are skipped, their errors are listed in errors property. Skipped scenarios are kept
+in unloaded property and saved again, so they aren't lost (they can be loaded
+with other dataset).
+*/
+Scenarios.fromObject = function(object, dataset) {
+    var scenarios = new Scenarios(dataset);
+    if (!object || object.version !== scenariosVersion || !Array.isArray(object.scenarios)) {
+        return scenarios;
+    }
+    var settings = {};
+    for (var item of object.scenarios) {
+        try {
+            settings[item.name] = Setting.fromObject(item.setting, dataset);
+        }
+        catch (error) {
+            scenarios.errors.push(`${item.name}: ${error.message}`);
+            scenarios.unloaded.push(item);
+        }
+    }
+    if (!Object.keys(settings).length) {
+        // Empty scenario mustn't take name of unloaded one
+        scenarios.settings = {};
+        settings[scenarios.getNewName()] = new Setting(dataset);
+    }
+    scenarios.settings = settings;
+    scenarios.active = settings[object.active] ? object.active : Object.keys(settings)[0];
+    return scenarios;
+};
+
+// Save scenarios to storage (localStorage in browser)
+Scenarios.prototype.save = function(storage) {
+    storage.setItem(scenariosStorageKey, JSON.stringify(this.toObject()));
+};
+
+// Load scenarios from storage, there is one empty scenario if nothing is saved
+Scenarios.load = function(storage, dataset) {
+    var object;
+    try {
+        object = JSON.parse(storage.getItem(scenariosStorageKey));
+    }
+    catch (error) {
+        object = null;
+    }
+    return Scenarios.fromObject(object, dataset);
+};
+
+
+/*
+Comparison of scenarios results.
+results is object {name: Result} of calculated results, the first one is base,
+other scenarios are compared with it.
+*/
+var Comparison = function(results) {
+    this.results = results;
+};
+
+// Calculate results for named settings ({name: Setting})
+Comparison.fromSettings = function(settings) {
+    var results = {};
+    for (var name in settings) {
+        results[name] = new Result(settings[name]);
+        results[name].calculate();
+    }
+    return new Comparison(results);
+};
+
+Comparison.prototype.getNames = function() {
+    return Object.keys(this.results);
+};
+
+Comparison.prototype.getBaseName = function() {
+    return this.getNames()[0];
+};
+
+// Isotopes and organisms of all results (in order of their appearance)
+Comparison.prototype.getIsotopes = function() {
+    var isotopes = [];
+    for (var name in this.results) {
+        for (var isotope of this.results[name].getIsotopes()) {
+            if (!isotopes.includes(isotope)) {
+                isotopes.push(isotope);
+            }
+        }
+    }
+    return isotopes;
+};
+
+Comparison.prototype.getOrganisms = function() {
+    var organisms = [];
+    for (var name in this.results) {
+        for (var organism of this.results[name].getOrganisms()) {
+            if (!organisms.includes(organism)) {
+                organisms.push(organism);
+            }
+        }
+    }
+    return organisms;
+};
+
+/*
+Get total dose rate of scenario for isotope and organism
+(isotope "Total" gives organism total dose rate).
+NaN is returned if scenario has no such isotope or organism.
+*/
+Comparison.prototype.getDoseRate = function(name, isotope, organism) {
+    var result = this.results[name];
+    if (!result.getOrganisms().includes(organism)) {
+        return NaN;
+    }
+    var value;
+    if (isotope === "Total") {
+        value = result.getOrganismTotalDoseRate(organism);
+    }
+    else if (result.getIsotopes().includes(isotope)) {
+        value = result.getTotalDoseRate(isotope, organism);
+    }
+    return value === undefined ? NaN : value;
+};
+
+/*
+Get difference of scenario's dose rate from base scenario's one:
+{absolute, relative} (relative is NaN for zero base dose rate).
+*/
+Comparison.prototype.getDifference = function(name, isotope, organism) {
+    var base = this.getDoseRate(this.getBaseName(), isotope, organism);
+    var value = this.getDoseRate(name, isotope, organism);
+    var absolute = value - base;
+    return {
+        absolute: absolute,
+        relative: base ? absolute / base : NaN
+    };
+};
+
+
+// Export for Node
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        Scenarios: Scenarios,
+        Comparison: Comparison
+    };
+}
@@ -0,0 +1,220 @@
+/*
+
+Sensitivity analysis for HYDRA.
+
+Each input parameter is perturbed one at a time and dose rates are recalculated.
+Influence of parameter on organism total dose rate is measured with elasticity:
+relative change of dose rate divided by relative change of parameter.
+
+*/
+
+// Get engine in Node (in browser scripts share globals)
+if (typeof module !== "undefined" && module.exports) {
+    var hydra = require("./hydra.js");
+    var Result = hydra.Result;
+    var runInChunks = hydra.runInChunks;
+}
+
+// Make function setting parameter value for setting (with setter's arguments)
+var makeParameterSetter = function(method, key, object) {
+    return function(setting, value) {
+        setting[method](key, object, value);
+    };
+};
+
+// Occupancy factors are used only if all of them are set
+var makeOccupancySetter = function(factors, organism, habitat) {
+    return function(setting, value) {
+        var changed = Object.assign({}, factors);
+        changed[habitat] = value;
+        setting.setOccupancyFactors(organism, changed);
+    };
+};
+
+var Sensitivity = function(setting, fraction=0.1) {
+    this.setting = setting;
+    this.fraction = fraction;
+};
+
+/*
+Get parameters which values are used in calculations.
+Values are taken from calculated result, so ERICA's defaults are perturbed too.
+Activity concentrations calculated from other media aren't parameters
+(they depend on Kd).
+*/
+Sensitivity.prototype.getParameters = function(base) {
+    var parameters = [];
+    var input = this.setting.activityConcentrations;
+
+    var isSet = function(value) {
+        return !isNaN(value) && value !== null && value !== undefined;
+    };
+
+    for (var isotope of base.getIsotopes()) {
+        for (var object of base.media.concat(base.getOrganisms())) {
+            var value = input[isotope] ? input[isotope][object] : undefined;
+            if (isSet(value)) {
+                parameters.push({
+                    label: `Activity ${isotope} in ${object}`,
+                    value: value,
+                    set: makeParameterSetter("setActivityConcentration", isotope, object)
+                });
+            }
+        }
+    }
+
+    var nuclides = new Set(base.getIsotopes().map(function(isotope) {
+        return isotope.split("-")[0];
+    }));
+    for (var nuclide of nuclides) {
+        if (base.media.includes("Sediment")) {
+            parameters.push({
+                label: `Kd ${nuclide}`,
+                value: base.distributionCoefficients[nuclide],
+                set: makeParameterSetter("setDistributionCoefficient", nuclide, "")
+            });
+        }
+        for (var organism of base.getOrganisms()) {
+            parameters.push({
+                label: `CR ${nuclide} for ${organism}`,
+                value: base.concentrationRatios[nuclide][organism],
+                set: makeParameterSetter("setConcentrationRatio", nuclide, organism)
+            });
+        }
+    }
+
+    for (var organism of base.getOrganisms()) {
+        for (var habitat in base.habitats) {
+            parameters.push({
+                label: `Occupancy ${organism} in ${habitat}`,
+                value: base.occupancyFactors[organism][habitat],
+                set: makeOccupancySetter(base.occupancyFactors[organism], organism, habitat)
+            });
+        }
+    }
+
+    if (base.media.includes("Sediment")) {
+        parameters.push({
+            label: "Dry weight",
+            value: base.percentageDryWeight,
+            set: makeParameterSetter("setPercentageDryWeight", "", "")
+        });
+    }
+
+    // Zero parameters can't be perturbed
+    return parameters.filter(function(parameter) {
+        return parameter.value > 0;
+    });
+};
+
+/*
+Calculate organisms total dose rates for setting with changed parameter.
+Returns undefined if value breaks parameter's rules (e.g. occupancy factors sum more than 1).
+*/
+Sensitivity.prototype.getTotals = function(parameter, value) {
+    var setting = this.setting.clone();
+    try {
+        parameter.set(setting, value);
+    }
+    catch (error) {
+        return undefined;
+    }
+    var result = new Result(setting);
+    result.calculate();
+    var totals = {};
+    for (var organism of result.getOrganisms()) {
+        totals[organism] = result.getOrganismTotalDoseRate(organism);
+    }
+    return totals;
+};
+
+// Calculate base dose rates and get parameters before perturbing them
+Sensitivity.prototype.start = function() {
+    var base = new Result(this.setting);
+    base.calculate();
+    this.baseDoseRates = {};
+    this.influences = {};
+    for (var organism of base.getOrganisms()) {
+        this.baseDoseRates[organism] = base.getOrganismTotalDoseRate(organism);
+        this.influences[organism] = [];
+    }
+    this.parameters = this.getParameters(base);
+};
+
+// Perturb parameter and add its influences on organisms
+Sensitivity.prototype.perturb = function(parameter) {
+    var low = this.getTotals(parameter, parameter.value * (1 - this.fraction));
+    var high = this.getTotals(parameter, parameter.value * (1 + this.fraction));
+
+    // Parameter which can't be increased (or decreased) is perturbed one way only
+    var change = 2 * this.fraction;
+    if (!low || !high) {
+        low = low || this.baseDoseRates;
+        high = high || this.baseDoseRates;
+        change = this.fraction;
+    }
+    for (var organism in this.influences) {
+        var baseDoseRate = this.baseDoseRates[organism];
+        var elasticity = (high[organism] - low[organism]) / baseDoseRate / change;
+        if (!elasticity || isNaN(elasticity)) {
+            continue;
+        }
+        this.influences[organism].push({
+            parameter: parameter.label,
+            low: low[organism],
+            high: high[organism],
+            elasticity: elasticity
+        });
+    }
+};
+
+// Rank parameters from the most influential one
+Sensitivity.prototype.finish = function() {
+    for (var organism in this.influences) {
+        this.influences[organism].sort(function(a, b) {
+            return Math.abs(b.elasticity) - Math.abs(a.elasticity);
+        });
+    }
+};
+
+// Perturb parameters and rank them for each organism
+Sensitivity.prototype.run = function() {
+    this.start();
+    for (var parameter of this.parameters) {
+        this.perturb(parameter);
+    }
+    this.finish();
+};
+
+/*
+Perturb parameters in chunks giving control back to browser between them,
+onProgress is called with numbers of perturbed and all parameters.
+Returns promise resolved when parameters are ranked.
+*/
+Sensitivity.prototype.runInChunks = function(onProgress) {
+    return Promise.resolve().then(function() {
+        this.start();
+        return runInChunks(this.parameters.length, function(index) {
+            this.perturb(this.parameters[index]);
+        }.bind(this), onProgress);
+    }.bind(this)).then(function() {
+        this.finish();
+    }.bind(this));
+};
+
+Sensitivity.prototype.getOrganisms = function() {
+    return Object.keys(this.influences);
+};
+
+// Get parameters influences ranked from the most influential one
+Sensitivity.prototype.getInfluences = function(organism) {
+    return this.influences[organism];
+};
+
+
+// Export for Node
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        Sensitivity: Sensitivity
+    };
+}
@@ -13,13 +13,15 @@ var readTable = function() {
     var file = this.files[0];
     var reader = new FileReader();
     reader.onload = function(event) {
-        var lines = this.result.split("\r\n");
+        var lines = this.result.split(/\r?\n/);
 
         // In ERICA's results organisms are in first row with first empty cell
         var organisms = lines[0].split(";").slice(1);
 
-        var data = lines.slice(1);
-        for (row of data) {
+        // HYDRA's results have other tables after empty line
+        var end = lines.indexOf("", 1);
+        var data = lines.slice(1, end === -1 ? undefined : end);
+        for (var row of data) {
             var cells = row.split(";");
 
             // Isotopes are in first column
@@ -39,11 +41,11 @@ standardFile.addEventListener("change", readTable);
 var compareBtn = document.getElementById("compare");
 
 var compare = function() {
-    for (isotope of erica.isotopes) {
+    for (var isotope of erica.isotopes) {
         setting.addIsotope(isotope);
         setting.setActivityConcentration(isotope, "Water", 1);
     }
-    for (organism of erica.organisms) {
+    for (var organism of erica.freshwater.organisms) {
         setting.addOrganism(organism);
     }
     var result = new Result(setting);
@@ -54,8 +56,8 @@ var compare = function() {
     result.getTotal();
     hydraResults = result.totalDoseRates;
 
-    for (isotope in standardResults) {
-        for (organism in standardResults[isotope]) {
+    for (var isotope in standardResults) {
+        for (var organism in standardResults[isotope]) {
             /* HYDRA's results are slightly different compare ERICA's sandart values.
             It can be result of floating point ariphmetic errors in HYDRA.
             Check that results don't differ too much.
@@ -72,4 +74,9 @@ var compare = function() {
     console.log("Done");
 };
 
-compareBtn.addEventListener("click", compare);
+// ERICA's data are needed for comparison
+compareBtn.addEventListener("click", function() {
+    loadErica().then(compare, function(error) {
+        console.log(`Can't compare without ERICA's data: ${error.message}`);
+    });
+});
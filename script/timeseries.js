@@ -0,0 +1,336 @@
+/*
+
+Time-dependent assessment for HYDRA.
+
+Activity concentrations of isotopes in media change over assessment period
+(e.g. during discharge campaign or after accident). They are given as time series
+or as initial values decreasing by decay and dilution. Dose rates are calculated
+at each time step, cumulative doses are integrated over the period.
+
+*/
+
+// Get engine in Node (in browser scripts share globals)
+if (typeof module !== "undefined" && module.exports) {
+    var hydra = require("./hydra.js");
+    var Setting = hydra.Setting;
+    var Result = hydra.Result;
+    var convertDoseRate = hydra.convertDoseRate;
+    var isMissing = hydra.isMissing;
+    var checkValue = hydra.checkValue;
+    var runInChunks = hydra.runInChunks;
+}
+
+/*
+Kinds of time series
+"points" - measured values [[time, value], ...] (time in days from start of period,
+    in ascending order), values are interpolated linearly between points
+    and kept constant before the first point and after the last one,
+"initial" - initial value decreasing by radioactive decay and dilution
+    with given half-time in days (empty or 0 for no dilution).
+Values are in units of medium's activity concentrations (see Setting.setActivityUnit).
+*/
+var timeSeriesTypes = ["points", "initial"];
+
+// Number of time steps is limited, every step is full calculation
+var maxTimeSteps = 1000;
+
+/*
+Set, get and delete time series of isotope's activity concentration in medium
+series is an object {type: "points", points: [[0, 10], [7, 2]]}
+or {type: "initial", value: 10, dilution: 5}.
+*/
+Setting.prototype.setTimeSeries = function(isotope, medium, series) {
+    var name = `Time series of ${isotope} in ${medium}`;
+    if (!this.media.includes(medium)) {
+        throw new Error(`${name}: unknown medium`);
+    }
+    if (!timeSeriesTypes.includes(series.type)) {
+        throw new Error(`${name}: unknown type ${series.type}`);
+    }
+    if (series.type === "points") {
+        if (!Array.isArray(series.points) || !series.points.length) {
+            throw new Error(`${name} has no points`);
+        }
+        series.points.forEach(function(point, index, points) {
+            if (!Array.isArray(point) || point.length !== 2) {
+                throw new Error(`${name}: point must be time and value`);
+            }
+            if (!(point[0] >= 0) || index > 0 && !(point[0] > points[index - 1][0])) {
+                throw new Error(`${name}: times must be non-negative and ascending (got ${point[0]})`);
+            }
+            checkValue("activity", point[1], `${name}: value at ${point[0]} days`);
+            if (isMissing(point[1])) {
+                throw new Error(`${name}: value at ${point[0]} days is required`);
+            }
+        });
+        series = {type: "points", points: JSON.parse(JSON.stringify(series.points))};
+    }
+    else {
+        checkValue("activity", series.value, `${name}: initial value`);
+        if (isMissing(series.value)) {
+            throw new Error(`${name}: initial value is required`);
+        }
+        checkValue("activity", series.dilution, `${name}: dilution half-time`);
+        series = {type: "initial", value: series.value, dilution: isMissing(series.dilution) ? 0 : series.dilution};
+    }
+    if (!this.timeSeries[isotope]) {
+        this.timeSeries[isotope] = {};
+    }
+    this.timeSeries[isotope][medium] = series;
+};
+
+Setting.prototype.getTimeSeries = function(isotope, medium) {
+    return (this.timeSeries[isotope] || {})[medium];
+};
+
+Setting.prototype.deleteTimeSeries = function(isotope, medium) {
+    if (this.getTimeSeries(isotope, medium)) {
+        delete this.timeSeries[isotope][medium];
+    }
+    if (this.timeSeries[isotope] && !Object.keys(this.timeSeries[isotope]).length) {
+        delete this.timeSeries[isotope];
+    }
+};
+
+// Get time series of selected isotopes as list of [isotope, medium, series]
+Setting.prototype.getTimeSeriesList = function() {
+    var list = [];
+    for (var isotope of this.getIsotopes()) {
+        for (var medium in this.timeSeries[isotope]) {
+            list.push([isotope, medium, this.timeSeries[isotope][medium]]);
+        }
+    }
+    return list;
+};
+
+/*
+Get value of time series at time (days).
+decayConstant (1/day) is used for "initial" series.
+*/
+var getTimeSeriesValue = function(series, time, decayConstant=0) {
+    if (series.type === "initial") {
+        var dilutionConstant = series.dilution > 0 ? Math.LN2 / series.dilution : 0;
+        return series.value * Math.exp(-(decayConstant + dilutionConstant) * time);
+    }
+    var points = series.points;
+    if (time <= points[0][0]) {
+        return points[0][1];
+    }
+    for (var i = 1; i < points.length; i++) {
+        if (time <= points[i][0]) {
+            var fraction = (time - points[i - 1][0]) / (points[i][0] - points[i - 1][0]);
+            return points[i - 1][1] + (points[i][1] - points[i - 1][1]) * fraction;
+        }
+    }
+    return points[points.length - 1][1];
+};
+
+
+/*
+Time-dependent assessment
+period and step are in days, dose rates are calculated at times 0, step, ... and period.
+For isotopes with time series activity concentrations in media without series
+are derived with Kd, activity concentrations in organisms are derived with CRs
+(organisms are assumed to be in equilibrium with media at each time step).
+Other isotopes keep their constant activity concentrations.
+*/
+var TimeSeries = function(setting, period=30, step=1) {
+    this.setting = setting;
+    this.period = period;
+    this.step = step;
+};
+
+TimeSeries.prototype.getTimes = function() {
+    if (!(this.period > 0) || !(this.step > 0)) {
+        throw new Error("Period and time step must be positive");
+    }
+    var count = Math.ceil(this.period / this.step - 1e-9);
+    if (count > maxTimeSteps) {
+        throw new Error(`Too many time steps (${count}), ${maxTimeSteps} at most`);
+    }
+    var times = [];
+    for (var i = 0; i < count; i++) {
+        times.push(i * this.step);
+    }
+    times.push(this.period);
+    return times;
+};
+
+// Get setting with activity concentrations at time (days)
+TimeSeries.prototype.getSetting = function(time) {
+    var setting = this.setting.clone();
+    var objects = setting.media.concat(setting.getOrganisms());
+    for (var isotope in setting.timeSeries) {
+        if (!setting.getIsotopes().includes(isotope)) {
+            continue;
+        }
+        var decayConstant = setting.dataset.decay[isotope] ? Math.LN2 / setting.dataset.decay[isotope] : 0;
+        for (var object of objects) {
+            var series = setting.getTimeSeries(isotope, object);
+            setting.setActivityConcentration(isotope, object,
+                series ? getTimeSeriesValue(series, time, decayConstant) : NaN);
+        }
+        // Values of series are given for each time, so they aren't decay-corrected
+        setting.setSamplingDate(isotope, "");
+    }
+    return setting;
+};
+
+// Get time steps before calculations
+TimeSeries.prototype.start = function() {
+    this.times = this.getTimes();
+    this.doseRates = {};
+    this.isotopeDoseRates = {};
+};
+
+// Calculate dose rates at time step with index
+TimeSeries.prototype.calculateStep = function(index) {
+    var result = new Result(this.getSetting(this.times[index]));
+    result.calculate();
+    for (var organism of result.getOrganisms()) {
+        if (!this.doseRates[organism]) {
+            this.doseRates[organism] = this.times.map(function() {
+                return NaN;
+            });
+            this.isotopeDoseRates[organism] = {};
+        }
+        this.doseRates[organism][index] = result.getOrganismTotalDoseRate(organism);
+        for (var isotope of result.getIsotopes()) {
+            if (!this.isotopeDoseRates[organism][isotope]) {
+                this.isotopeDoseRates[organism][isotope] = this.times.map(function() {
+                    return NaN;
+                });
+            }
+            this.isotopeDoseRates[organism][isotope][index] = result.getTotalDoseRate(isotope, organism);
+        }
+    }
+};
+
+// Calculate dose rates at each time step and cumulative doses
+TimeSeries.prototype.run = function() {
+    this.start();
+    for (var i = 0; i < this.times.length; i++) {
+        this.calculateStep(i);
+    }
+};
+
+/*
+Calculate time steps in chunks giving control back to browser between them,
+onProgress is called with numbers of calculated and all time steps.
+Returns promise resolved when all steps are calculated.
+*/
+TimeSeries.prototype.runInChunks = function(onProgress) {
+    return Promise.resolve().then(function() {
+        this.start();
+        return runInChunks(this.times.length, this.calculateStep.bind(this), onProgress);
+    }.bind(this));
+};
+
+TimeSeries.prototype.getOrganisms = function() {
+    return Object.keys(this.doseRates);
+};
+
+// Get organism total dose rates (uGy/h) at time steps
+TimeSeries.prototype.getDoseRates = function(organism) {
+    return this.doseRates[organism];
+};
+
+// Get isotope's dose rates (uGy/h) for organism at time steps
+TimeSeries.prototype.getIsotopeDoseRates = function(organism, isotope) {
+    return this.isotopeDoseRates[organism][isotope];
+};
+
+TimeSeries.prototype.getIsotopes = function(organism) {
+    return Object.keys(this.isotopeDoseRates[organism]);
+};
+
+// Peak total dose rate of organism {value, time} (uGy/h, days), steps without data are skipped
+TimeSeries.prototype.getPeakDoseRate = function(organism) {
+    var peak = {value: NaN, time: NaN};
+    this.doseRates[organism].forEach(function(value, index) {
+        if (!isNaN(value) && !(value <= peak.value)) {
+            peak = {value: value, time: this.times[index]};
+        }
+    }, this);
+    return peak;
+};
+
+/*
+Cumulative dose of organism over period (uGy)
+Dose rates are integrated with trapezoidal rule, so dose is NaN
+if dose rate can't be calculated at some step.
+*/
+var integrateDoseRates = function(times, doseRates) {
+    var dose = 0;
+    for (var i = 1; i < times.length; i++) {
+        dose += (doseRates[i - 1] + doseRates[i]) / 2 * (times[i] - times[i - 1]) * 24;
+    }
+    return dose;
+};
+
+TimeSeries.prototype.getCumulativeDose = function(organism) {
+    return integrateDoseRates(this.times, this.doseRates[organism]);
+};
+
+TimeSeries.prototype.getIsotopeCumulativeDose = function(organism, isotope) {
+    return integrateDoseRates(this.times, this.isotopeDoseRates[organism][isotope]);
+};
+
+/*
+Doses are shown in units of dose rate's numerator (uGy or mGy),
+values are factors converting from uGy.
+*/
+var doseUnits = {
+    "\u00b5Gy": 1,
+    "mGy": 1e-3
+};
+
+var getDoseUnit = function(doseRateUnit) {
+    return doseRateUnit.split("/")[0];
+};
+
+var convertDose = function(value, unit) {
+    return value * doseUnits[unit];
+};
+
+/*
+Export results as CSV: dose rates of organisms at time steps followed by peaks
+and cumulative doses (missing values are empty).
+*/
+TimeSeries.prototype.toCSV = function(unit=this.setting.getDoseRateUnit()) {
+    var organisms = this.getOrganisms();
+    var doseUnit = getDoseUnit(unit);
+    var format = function(value) {
+        return isNaN(value) ? "" : String(value);
+    };
+    var lines = [[`Time, days \\ Total dose rate, ${unit}`].concat(organisms).join(";")];
+    this.times.forEach(function(time, index) {
+        lines.push([time].concat(organisms.map(function(organism) {
+            return format(convertDoseRate(this.doseRates[organism][index], unit));
+        }, this)).join(";"));
+    }, this);
+    lines.push("", ["Summary"].concat(organisms).join(";"));
+    lines.push([`Peak dose rate, ${unit}`].concat(organisms.map(function(organism) {
+        return format(convertDoseRate(this.getPeakDoseRate(organism).value, unit));
+    }, this)).join(";"));
+    lines.push(["Time of peak, days"].concat(organisms.map(function(organism) {
+        return format(this.getPeakDoseRate(organism).time);
+    }, this)).join(";"));
+    lines.push([`Cumulative dose, ${doseUnit}`].concat(organisms.map(function(organism) {
+        return format(convertDose(this.getCumulativeDose(organism), doseUnit));
+    }, this)).join(";"));
+    return lines.join("\r\n");
+};
+
+
+// Export for Node
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        timeSeriesTypes: timeSeriesTypes,
+        getTimeSeriesValue: getTimeSeriesValue,
+        doseUnits: doseUnits,
+        getDoseUnit: getDoseUnit,
+        convertDose: convertDose,
+        TimeSeries: TimeSeries
+    };
+}